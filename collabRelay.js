@@ -0,0 +1,43 @@
+// A minimal collaboration server, for collaborating on a local network without the Zea server.
+// Like the Zea server, it relays each message to the other users in the room given when connecting.
+// It also serves the socket.io client and zea-collab, which the app loads from it.
+// zea-collab's client is socket.io 2, so the server must be too:
+//   npm install --no-save socket.io@2 @zeainc/zea-collab@4
+//   node collabRelay.js [port]
+const http = require('http')
+const fs = require('fs')
+const socketIO = require('socket.io')
+
+const port = Number(process.argv[2]) || 3000
+const collabPath = require.resolve('@zeainc/zea-collab/dist/index.umd.js')
+
+// socket.io answers its own requests, including /socket.io/socket.io.js, before this is called.
+const server = http.createServer((request, response) => {
+  if (request.url != '/zea-collab.js') {
+    response.writeHead(404)
+    response.end()
+    return
+  }
+  response.writeHead(200, { 'Content-Type': 'application/javascript', 'Access-Control-Allow-Origin': '*' })
+  fs.createReadStream(collabPath).pipe(response)
+})
+
+const io = socketIO(server)
+io.on('connection', (socket) => {
+  const { roomId } = socket.handshake.query
+  if (!roomId) {
+    socket.disconnect(true)
+    return
+  }
+  socket.join(roomId)
+  // Every message is passed on as it is, and acknowledged once sent.
+  socket.use((packet, next) => {
+    const [type, message] = packet
+    socket.to(roomId).emit(type, message)
+    const ack = packet[packet.length - 1]
+    if (typeof ack == 'function') ack()
+    next()
+  })
+})
+
+server.listen(port, () => console.log(`Relaying collaboration messages on port ${port}`))
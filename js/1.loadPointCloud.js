@@ -1,21 +1,34 @@
-const { Vec3, PassType } = window.zeaEngine
+const { Xfo, PassType } = window.zeaEngine
 const { PointCloudAsset, GLPointCloudPass } = window.zeaPointClouds
 
-const loadPointCloud = (appData) => {
-  const pointCloudPass = new GLPointCloudPass()
-  appData.renderer.addPass(pointCloudPass, PassType.OPAQUE)
+// Names the point cloud after the folder holding its cloud.js file.
+const nameFromUrl = (url) => {
+  const parts = new URL(url, window.location.href).pathname.split('/')
+  return decodeURIComponent(parts[parts.length - 2] || 'PointCloud')
+}
+
+// The placement moves the cloud from where its own coordinates put it into the cell.
+// The render pass is shared with the point clouds opened later.
+const loadPointCloud = (appData, pointCloudUrl, placement = new Xfo()) => {
+  if (!appData.pointCloudPass) {
+    appData.pointCloudPass = new GLPointCloudPass()
+    appData.renderer.addPass(appData.pointCloudPass, PassType.OPAQUE)
+  }
 
-  const pointCloud = new PointCloudAsset('NavVisHQ')
-  const pointCloudUrl = 'https://storage.googleapis.com/zea-projects-assets/5764748591235072/NavVisHQ/cloud.js'
-  pointCloud.getParameter('Point Size').setValue(0.5)
-  pointCloud.getParameter('Point Size Attenuation').setValue(0.5)
-  pointCloud.loadPointCloud(pointCloudUrl, 'PointCloud').then((e) => {
-    const xfoParam = pointCloud.getParameter('GlobalXfo')
-    const xfo = xfoParam.getValue()
-    console.log(xfo.toString())
-    xfo.tr.addInPlace(new Vec3(17, 15, 0))
-    xfoParam.setValue(xfo)
-  })
+  const pointCloud = new PointCloudAsset(nameFromUrl(pointCloudUrl))
+  // Project files place the point cloud once it has loaded and been given its default placement.
+  // Resolves to the xfo the cloud's own coordinates give it, before the placement.
+  appData.pointCloudLoaded = pointCloud
+    .loadPointCloud(pointCloudUrl, 'PointCloud')
+    .catch((error) => {
+      throw new Error(`${pointCloudUrl}: ${(error && error.message) || error || 'not a Potree point cloud'}`)
+    })
+    .then(() => {
+      const xfoParam = pointCloud.getParameter('GlobalXfo')
+      const xfo = xfoParam.getValue().clone()
+      xfoParam.setValue(placement.multiply(xfo))
+      return xfo
+    })
 
   return pointCloud
 }
@@ -1,19 +1,23 @@
-const { Color, Group, Material, TreeItem, GeomItem, Cuboid, PassType } = window.zeaEngine
+const { Color, Material, TreeItem, GeomItem, Cuboid, PassType } = window.zeaEngine
 const { GLCADPass, CADAsset } = window.zeaCad
-const { IKSolver, TriangleIKSolver, RamAndPistonOperator } = window.zeaKinematics
-
-const loadModel = (appData) => {
-  const cadPass = new GLCADPass(true)
-  cadPass.setShaderPreprocessorValue('#define ENABLE_PBR')
-  appData.renderer.addPass(cadPass, PassType.OPAQUE)
-
-  const treeItem = new TreeItem('tree')
+const { IKSolver } = window.zeaKinematics
+import { buildRig } from './rig.js'
+import setupTools from './tools.js'
+
+// Resolves once the asset has loaded. The engine doesn't report a file it can't fetch, and never loads,
+// so the file is checked for separately. Servers that don't answer HEAD requests are given the benefit of the doubt.
+const whenLoaded = (asset, url) => {
+  const loaded = new Promise((resolve) => asset.once('loaded', resolve))
+  const found = fetch(url, { method: 'HEAD' }).then((response) => {
+    if (!response.ok && response.status != 405) throw new Error(`${url}: ${response.status} ${response.statusText}`)
+  })
+  return Promise.all([loaded, found]).then(() => asset)
+}
 
-  // ///////////////////////////////////////
-  // Load the Robot Model
-  const asset = new CADAsset('MC700_ASSY')
-  // asset.getParameter('DataFilePath').setUrl('data/MC700_ASSY.zcad')
-  asset.getParameter('DataFilePath').setUrl('data/MC700_ASSY-visu.zcad')
+// Loads a zcad file, giving the materials the finish of the robot's.
+const loadCADAsset = (name, url) => {
+  const asset = new CADAsset(name)
+  asset.getParameter('DataFilePath').setUrl(url)
 
   asset.getMaterialLibrary().on('loaded', () => {
     asset
@@ -27,105 +31,51 @@ const loadModel = (appData) => {
         }
       })
   })
+  return asset
+}
 
+const loadModel = (appData, rig) => {
+  const cadPass = new GLCADPass(true)
+  cadPass.setShaderPreprocessorValue('#define ENABLE_PBR')
+  appData.renderer.addPass(cadPass, PassType.OPAQUE)
+
+  const treeItem = new TreeItem('tree')
+
+  // ///////////////////////////////////////
+  // Load the Robot Model
+  const asset = loadCADAsset(rig.model.name, rig.model.url)
+  appData.modelLoaded = whenLoaded(asset, rig.model.url)
   treeItem.addChild(asset)
 
   // ///////////////////////////////////////
   // Setup the Solver
   const ikSolver = new IKSolver('ikSolver')
-  ikSolver.getParameter('Iterations').setValue(20)
+  ikSolver.getParameter('Iterations').setValue(rig.solver.iterations)
   treeItem.addChild(ikSolver)
   treeItem.addChild(ikSolver.debugTree)
 
-  const targGeom = new Cuboid(0.05, 0.1, 0.1)
+  const targGeom = new Cuboid(...rig.target.size)
   const targGeomMaterial = new Material('targGeomMaterial', 'SimpleSurfaceShader')
   targGeomMaterial.getParameter('BaseColor').setValue(new Color(0, 0.5, 0))
   const targGeomItem = new GeomItem('target', targGeom, targGeomMaterial)
   treeItem.addChild(targGeomItem)
-  ikSolver.getInput('Target').setParam(targGeomItem.getParameter('GlobalXfo'))
-
-  // ///////////////////////////////////////
-  // Setup the joints
-
-  // const jointMaterial = new Material('Joint0', 'StandardSurfaceShader')
-  // jointMaterial.getParameter('BaseColor').setValue(new Color(1, 0, 0))
-
-  function addJoint(name, axis, limits) {
-    // const joint = asset.getChildByName(name);
-    const joint = new Group(name)
-    // joint.getParameter('Material').setValue(jointMaterial)
-    treeItem.addChild(joint)
-    joint.addItem(asset.getChildByName(name))
-    ikSolver.addJoint(joint.getParameter('GlobalXfo'), axis, limits)
-    return joint
-  }
 
-  function addRamAndPiston(ramName, ramParentGroup, pistonName, pistonParentGroup, axis) {
-    const ramGroup = new Group(ramName)
-    ramGroup.addItem(asset.getChildByName(ramName))
-    treeItem.getChildByName(ramParentGroup).addChild(ramGroup)
-
-    const pistonGroup = new Group(pistonName)
-    pistonGroup.addItem(asset.getChildByName(pistonName))
-    if (typeof pistonParentGroup == 'string') {
-      treeItem.getChildByName(pistonParentGroup).addChild(pistonGroup)
-    } else pistonParentGroup.addChild(pistonGroup)
-
-    const ramPistonOp = new RamAndPistonOperator(ramName + '>' + pistonName)
-    ramPistonOp.getParameter('Axis').setValue(axis)
-    ramPistonOp.getOutput('Ram').setParam(ramGroup.getParameter('GlobalXfo'))
-    ramPistonOp.getOutput('Piston').setParam(pistonGroup.getParameter('GlobalXfo'))
-    treeItem.addChild(ramPistonOp)
-    return ramPistonOp
-  }
+  // The target stands for the center point of the active tool,
+  // so the solver is given the flange pose that puts it there.
+  const tools = setupTools(rig)
+  tools.setTarget(targGeomItem)
+  treeItem.addChild(tools.flangeTarget, false)
+  ikSolver.getInput('Target').setParam(tools.flangeTarget.getParameter('GlobalXfo'))
 
+  // ///////////////////////////////////////
+  // Setup the joints, counterweights and pistons described by the rig.
+  appData.robot = { rig, asset, ikSolver, target: targGeomItem, tools, joints: [], restXfos: new Map() }
   asset.on('loaded', () => {
-    addJoint('NAUO1', 2, [-140, 140])
-    addJoint('NAUO6', 1, [-105, 60])
-    addJoint('NAUO16', 1, [-80, 60])
-    addJoint('NAUO7', 0, [-160, 160])
-    addJoint('NAUO17', 1, [-90, 90])
-    addJoint('NAUO15', 0, [-160, 160])
-
-    // ///////////////////////////////////////
-    // Setup the Target
-
-    const targXfo = asset.getChildByName('NAUO15').getParameter('GlobalXfo').getValue().clone()
-    targXfo.sc.set(1, 1, 1)
-    targGeomItem.getParameter('GlobalXfo').setValue(targXfo)
-
-    ikSolver.enable()
-
-    // ///////////////////////////////////////
-    // Setup Counterweight
-    const counterweightGroup = new Group('NAUO4')
-    counterweightGroup.addItem(asset.getChildByName('NAUO4'))
-    treeItem.getChildByName('NAUO1').addChild(counterweightGroup)
-
-    const counterweightRodGroup = new Group('NAUO5')
-    counterweightRodGroup.addItem(asset.getChildByName('NAUO5'))
-    treeItem.getChildByName('NAUO1').addChild(counterweightRodGroup)
-
-    const counterweightOp = new TriangleIKSolver('Counterweight')
-    const targetGeomItem = asset.resolvePath(['NAUO16', 'NAUO67', 'NAUO112'])
-    counterweightOp.getInput('Target').setParam(targetGeomItem.getParameter('GlobalXfo'))
-    counterweightOp.getOutput('Joint0').setParam(counterweightGroup.getParameter('GlobalXfo'))
-    counterweightOp.getOutput('Joint1').setParam(counterweightRodGroup.getParameter('GlobalXfo'))
-    counterweightOp.enable()
-    treeItem.addChild(counterweightOp)
-
-    // ///////////////////////////////////////
-    // Setup pistons
-    addRamAndPiston('NAUO10', 'NAUO1', 'NAUO11', 'NAUO6', 1)
-    addRamAndPiston('NAUO8', 'NAUO1', 'NAUO9', 'NAUO6', 1)
-
-    addRamAndPiston('NAUO12', 'NAUO1', 'NAUO13', 'NAUO6', 4)
-
-    // Counterweight piston
-    addRamAndPiston('NAUO3', 'NAUO1', 'NAUO2', counterweightGroup, 4)
+    Object.assign(appData.robot, buildRig(rig, asset, ikSolver, targGeomItem, treeItem, tools))
   })
 
   return treeItem
 }
 
 export default loadModel
+export { loadCADAsset, whenLoaded }
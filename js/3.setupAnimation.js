@@ -1,13 +1,31 @@
 const { Vec3, Xfo, Color, NumberParameter, Material, Cuboid, GeomItem, MathFunctions } = window.zeaEngine
-const { XfoTrack, TrackSampler, XfoTrackDisplay, AttachmentConstraint, RemoveKeyChange } = window.zeaKinematics
+const { TrackSampler } = window.zeaKinematics
 const { UndoRedoManager } = window.zeaUx
-
-const setupAnimation = (treeItem) => {
+import EasedXfoTrack from './EasedXfoTrack.js'
+import JointSpaceTrack from './JointSpaceTrack.js'
+import ForwardKinematicsSolver from './ForwardKinematicsSolver.js'
+import { SetKeyChange, SetKeyPathChange } from './TrackChanges.js'
+import { getJointAngles } from './kinematics.js'
+import setupAttachments from './attachments.js'
+import setupClips from './clips.js'
+import setupRecording from './recording.js'
+import TrackPathDisplay from './TrackPathDisplay.js'
+import { circleThrough } from './paths.js'
+
+const setupAnimation = (treeItem, appData) => {
+  const { robot } = appData
+  const { rig } = robot
   const timeParam = new NumberParameter('time', 0)
   timeParam.setRange([0, 7000])
   treeItem.addParameter(timeParam)
 
-  const xfoTrack = new XfoTrack('XfoTrack')
+  // The robot is either driven by the IK target, or keyed directly in joint space.
+  const xfoTrack = new EasedXfoTrack('XfoTrack')
+  const jointTrack = new JointSpaceTrack(
+    'JointTrack',
+    rig.joints.map((joint) => joint.name)
+  )
+  let mode = 'ik'
 
   ///////////////////////////////////////////////////
   // Setup the time bar
@@ -16,24 +34,28 @@ const setupAnimation = (treeItem) => {
   timecontrols.timeParam = timeParam
   timecontrols.track = xfoTrack
 
-  const saveTrack = () => {
-    const json = xfoTrack.toJSON()
-    download('XfoTrack.json', JSON.stringify(json, undefined, ' '))
+  const getTrack = () => (mode == 'joints' ? jointTrack : xfoTrack)
+
+  // The attach and release events are saved along with the keys.
+  const attachments = setupAttachments(treeItem, timeParam)
+  const updateMarkers = () => {
+    const markers = attachments.getEvents().map((event) => {
+      const title = event.target
+        ? `Attach ${event.part.getName()} to ${event.target.getName()}`
+        : `Release ${event.part.getName()}`
+      return { time: event.time, color: event.target ? '#2fb344' : '#3f7ee8', title }
+    })
+    timecontrols.setMarkers('attachments', markers)
   }
-  document.addEventListener('keydown', (event) => {
-    const key = String.fromCharCode(event.keyCode).toLowerCase()
-    switch (key) {
-      case ' ':
-      case 's':
-        if (event.ctrlKey) saveTrack()
-        break
-    }
-  })
+  attachments.on('changed', updateMarkers)
+
+  // Each clip has its own keys, length and attach events.
+  const clips = setupClips({ timeParam, xfoTrack, jointTrack, attachments }, timecontrols)
 
   ///////////////////////////////////////
 
   const target = treeItem.getChildByName('target')
-  const asset = treeItem.getChildByName('MC700_ASSY')
+  const asset = treeItem.getChildByName(rig.model.name)
 
   const makePlate = () => {
     const plateMaterial = new Material('plateMaterial', 'SimpleSurfaceShader')
@@ -62,36 +84,130 @@ const setupAnimation = (treeItem) => {
   }
   const stamperItem = makeStamper()
 
+  let fkSolver
+  let trackDisplay
+  let recording
   asset.on('loaded', () => {
+    fkSolver = new ForwardKinematicsSolver('ForwardKinematicsSolver', jointTrack, robot.joints)
+    fkSolver.getInput('Time').setParam(timeParam)
+    treeItem.addChild(fkSolver)
+    // Moving the time shows the keyed joint angles again.
+    timeParam.on('valueChanged', () => fkSolver.clearPose())
+
     const xfoTrackSampler = new TrackSampler('XfoTrack', xfoTrack)
     xfoTrackSampler.getInput('Time').setParam(timeParam)
     xfoTrackSampler.getOutput('Output').setParam(target.getParameter('GlobalXfo'))
 
-    const urlParams = new URLSearchParams(window.location.search)
-    if (!urlParams.has('nokeys')) {
-      fetch('data/XfoTrack.json')
-        .then((response) => response.json())
-        .then((json) => {
-          xfoTrack.fromJSON(json)
-          setTimeout(timecontrols.play, 1500)
-        })
-
-      /////////////////////////////////////////////////
-      // Robot Head
-
-      const robotHead = asset.getChildByName('NAUO15')
-      const sttachmentConstraint = new AttachmentConstraint('PlateAttach')
-      sttachmentConstraint.getInput('Time').setParam(timeParam)
-      sttachmentConstraint.getOutput('Attached').setParam(plateItem.getParameter('GlobalXfo'))
-      sttachmentConstraint.addAttachTarget(robotHead.getParameter('GlobalXfo'), 2600)
-      sttachmentConstraint.addAttachTarget(stamperItem.getParameter('GlobalXfo'), 5400)
-
-      /////////////////////////////////////////////////
-    }
+    const samplerOutput = xfoTrackSampler.getOutput('Output')
+    recording = setupRecording({ appData, timeParam, xfoTrack, target, samplerOutput }, timecontrols)
 
-    const TrackDisplay = new XfoTrackDisplay(xfoTrack)
-    treeItem.addChild(TrackDisplay)
+    trackDisplay = new TrackPathDisplay(xfoTrack)
+    treeItem.addChild(trackDisplay)
+    applyMode()
   })
+
+  ///////////////////////////////////////
+  // Modes
+
+  // A mode chosen before the model has loaded is applied to the solver and the path once they exist.
+  const applyMode = () => {
+    if (!fkSolver) return
+    fkSolver.getParameter('Enabled').setValue(mode != 'ik')
+    trackDisplay.getParameter('Visible').setValue(mode == 'ik')
+  }
+
+  const setMode = (value) => {
+    mode = value
+    target.getParameter('Visible').setValue(mode == 'ik')
+    timecontrols.track = getTrack()
+    applyMode()
+  }
+
+  // Captures the current transform of the IK target as a key.
+  const keyTarget = () => {
+    const time = Math.round(timeParam.getValue())
+    const change = new SetKeyChange(xfoTrack, time, target.getParameter('GlobalXfo').getValue().clone())
+    UndoRedoManager.getInstance().addChange(change)
+  }
+
+  // Sets the path the target follows from the key before the current time to the next key.
+  // Circular paths pass through the target's current position.
+  const setPath = (type) => {
+    const { keyIndex, lerp } = xfoTrack.findKeyAndLerp(timeParam.getValue())
+    if (keyIndex == -1 || keyIndex == xfoTrack.getNumKeys() - 1 || (lerp == 0 && type == 'circ')) {
+      throw new Error('Move the time between the two keys of the segment first.')
+    }
+    const path = { type }
+    if (type == 'circ') {
+      path.via = target.getParameter('GlobalXfo').getValue().tr.clone()
+      const tr0 = xfoTrack.getKeyValue(keyIndex).tr
+      const tr1 = xfoTrack.getKeyValue(keyIndex + 1).tr
+      if (!circleThrough(tr0, path.via, tr1)) {
+        throw new Error('Move the target off the line between the keys to the point the arc should pass through.')
+      }
+    }
+    const time = xfoTrack.getKeyTime(keyIndex)
+    UndoRedoManager.getInstance().addChange(new SetKeyPathChange(xfoTrack, time, path))
+  }
+
+  // Poses the robot directly in joint space, until the time moves. Key Joints keys the pose.
+  const setPose = (angles) => {
+    if (mode == 'joints' && fkSolver) fkSolver.setPose(angles)
+  }
+
+  // Captures the current pose of the robot as a joint space key.
+  const keyJoints = () => {
+    const time = Math.round(timeParam.getValue())
+    const change = new SetKeyChange(jointTrack, time, getJointAngles(robot.joints))
+    UndoRedoManager.getInstance().addChange(change)
+  }
+
+  // Records the target's motion into the track while the timeline plays, or ends the current take.
+  const toggleRecording = () => {
+    if (recording) recording.toggle()
+  }
+
+  const getRecording = () => recording
+
+  // The demo picks up the plate and places it on the stamper.
+  const keyDemoAttachments = () => {
+    attachments.keyAttachment(plateItem, asset.getChildByName(rig.tip), 2600)
+    attachments.keyAttachment(plateItem, stamperItem, 5400)
+  }
+
+  // The clips, with their keys and attach events, and the current time, as saved in project files.
+  const toJSON = () => {
+    return { time: timeParam.getValue(), clips: clips.toJSON() }
+  }
+
+  const fromJSON = (j) => {
+    if (timecontrols.playing) timecontrols.pause()
+    clips.fromJSON(j.clips)
+    if (j.time != undefined) timeParam.setValue(j.time)
+  }
+
+  const getMode = () => mode
+
+  return {
+    timeParam,
+    cellItems: [plateItem, stamperItem],
+    xfoTrack,
+    jointTrack,
+    attachments,
+    clips,
+    getTrack,
+    setMode,
+    getMode,
+    keyTarget,
+    keyJoints,
+    setPose,
+    setPath,
+    toggleRecording,
+    getRecording,
+    keyDemoAttachments,
+    toJSON,
+    fromJSON,
+  }
 }
 
 export default setupAnimation
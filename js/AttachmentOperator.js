@@ -0,0 +1,53 @@
+const { Operator, OperatorInput, OperatorOutput, OperatorOutputMode, Registry } = window.zeaEngine
+
+// Moves a part along with the item it is attached to, as keyed on an AttachmentTrack.
+// Before the first key the part's own transform is passed through unchanged.
+class AttachmentOperator extends Operator {
+  constructor(name, track, part) {
+    super(name)
+    this.track = track
+    this.targetInputs = new Map()
+
+    this.addInput(new OperatorInput('Time'))
+    this.addOutput(new OperatorOutput('Attached', OperatorOutputMode.OP_READ_WRITE)).setParam(
+      part.getParameter('GlobalXfo')
+    )
+
+    const update = () => {
+      this.bindTargets()
+      this.setDirty()
+    }
+    track.on('keyAdded', update)
+    track.on('keyRemoved', update)
+    track.on('keyChanged', update)
+    track.on('loaded', update)
+  }
+
+  // Adds an input for each item the part gets attached to, so the part follows it.
+  bindTargets() {
+    this.track.keys.forEach((key) => {
+      const { target } = key.value
+      if (!target || this.targetInputs.has(target)) return
+      const input = this.addInput(new OperatorInput('Target' + this.targetInputs.size))
+      input.setParam(target.getParameter('GlobalXfo'))
+      this.targetInputs.set(target, input)
+    })
+  }
+
+  evaluate() {
+    const output = this.getOutput('Attached')
+    const value = this.track.evaluate(this.getInput('Time').getValue())
+    if (!value) {
+      output.setClean(output.getValue())
+    } else if (value.target) {
+      const targetXfo = this.targetInputs.get(value.target).getValue()
+      output.setClean(targetXfo.multiply(value.xfo))
+    } else {
+      output.setClean(value.xfo)
+    }
+  }
+}
+
+Registry.register('AttachmentOperator', AttachmentOperator)
+
+export default AttachmentOperator
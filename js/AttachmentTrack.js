@@ -0,0 +1,65 @@
+const { Xfo } = window.zeaEngine
+import NumberTrack from './NumberTrack.js'
+
+// Returns the path of the item relative to the root, starting with the root's name.
+const getRelativePath = (root, item) => item.getPath().slice(root.getPath().length - 1)
+
+// Returns the item at a path made by getRelativePath, or null if there is no such item.
+const findItem = (root, path) => {
+  if (path[0] != root.getName()) return null
+  let item = root
+  for (const name of path.slice(1)) {
+    item = item.getChildByName(name)
+    if (!item) return null
+  }
+  return item
+}
+
+// Keys where a part is attached to, or released from, another item such as the gripper or a fixture.
+// Each key value is { target, xfo }. While attached, the xfo is the part's offset from the target.
+// A release has no target, and the xfo is where the part was left.
+// Reuses the key handling of the NumberTrack, but the keys are stepped rather than interpolated.
+class AttachmentTrack extends NumberTrack {
+  constructor(name, root) {
+    super(name)
+    this.root = root
+  }
+
+  // Returns the key value in effect at the given time, or null before the first key.
+  evaluate(time) {
+    let value = null
+    for (const key of this.keys) {
+      if (key.time > time) break
+      value = key.value
+    }
+    return value
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      type: 'AttachmentTrack',
+      keys: this.keys.map((key) => ({
+        time: key.time,
+        value: {
+          target: key.value.target ? getRelativePath(this.root, key.value.target) : null,
+          xfo: key.value.xfo.toJSON(),
+        },
+      })),
+    }
+  }
+
+  fromJSON(j) {
+    this.name = j.name
+    this.keys = j.keys.map((key) => {
+      const xfo = new Xfo()
+      xfo.fromJSON(key.value.xfo)
+      const target = key.value.target ? this.root.resolvePath(key.value.target) : null
+      return { time: key.time, value: { target, xfo } }
+    })
+    this.emit('loaded')
+  }
+}
+
+export { getRelativePath, findItem }
+export default AttachmentTrack
@@ -0,0 +1,53 @@
+const { Xfo, Quat } = window.zeaEngine
+const { XfoTrack } = window.zeaKinematics
+import { getKeyInterpolation, setKeyInterpolation, findKeyAndEase, copyInterpolation } from './interpolation.js'
+import { getKeyPath, setKeyPath, evaluatePath, pathToJSON, pathFromJSON } from './paths.js'
+
+// An XfoTrack that respects the interpolation mode of each key, e.g. to ease the target in and out of a hold.
+// Keys are linear by default, so tracks saved without interpolation modes play back as before.
+// Each key also sets the path the position follows to the next key, such as an arc, which the easing moves along.
+class EasedXfoTrack extends XfoTrack {
+  getKeyInterpolation(index) {
+    return getKeyInterpolation(this.keys[index])
+  }
+
+  setKeyInterpolation(index, interpolation) {
+    setKeyInterpolation(this.keys[index], interpolation)
+    this.emit('keyChanged', { index })
+  }
+
+  getKeyPath(index) {
+    return getKeyPath(this.keys[index])
+  }
+
+  setKeyPath(index, path) {
+    setKeyPath(this.keys[index], path)
+    this.emit('keyChanged', { index })
+  }
+
+  evaluate(time) {
+    const { keyIndex, lerp } = this.findKeyAndLerp(time)
+    if (keyIndex == -1 || lerp == 0) return super.evaluate(time)
+
+    const eased = findKeyAndEase(this, time).lerp
+    const xfo0 = this.keys[keyIndex].value
+    const xfo1 = this.keys[keyIndex + 1].value
+    // Interpolate along the shortest arc.
+    let ori1 = xfo1.ori
+    if (xfo0.ori.dot(ori1) < 0) ori1 = new Quat(-ori1.x, -ori1.y, -ori1.z, -ori1.w)
+    return new Xfo(evaluatePath(this.keys, keyIndex, eased), xfo0.ori.lerp(ori1, eased), xfo0.sc.lerp(xfo1.sc, eased))
+  }
+
+  toJSON(context) {
+    const j = super.toJSON(context)
+    j.keys.forEach((keyJson, index) => pathToJSON(this.keys[index], copyInterpolation(this.keys[index], keyJson)))
+    return j
+  }
+
+  fromJSON(j, context) {
+    super.fromJSON(j, context)
+    j.keys.forEach((keyJson, index) => pathFromJSON(keyJson, copyInterpolation(keyJson, this.keys[index])))
+  }
+}
+
+export default EasedXfoTrack
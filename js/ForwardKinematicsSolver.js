@@ -0,0 +1,57 @@
+const { Operator, OperatorInput, OperatorOutput, OperatorOutputMode, BooleanParameter, Registry } = window.zeaEngine
+import { computeJointXfos } from './kinematics.js'
+
+// Poses the joints from a JointSpaceTrack.
+// The outputs are bound after the IKSolver's outputs, so while enabled the joint angles override the IK solution,
+// and while disabled the IK solution is passed through unchanged.
+// A pose can be set directly, e.g. from sliders, which holds until it is cleared.
+class ForwardKinematicsSolver extends Operator {
+  constructor(name, track, joints) {
+    super(name)
+    this.track = track
+    this.joints = joints
+    this.pose = null
+
+    this.addParameter(new BooleanParameter('Enabled', false))
+    this.addInput(new OperatorInput('Time'))
+    joints.forEach((joint, index) => {
+      const output = this.addOutput(new OperatorOutput('Joint' + index, OperatorOutputMode.OP_READ_WRITE))
+      output.setParam(joint.group.getParameter('GlobalXfo'))
+    })
+
+    const setDirty = () => this.setDirty()
+    track.tracks.forEach((jointTrack) => {
+      jointTrack.on('keyAdded', setDirty)
+      jointTrack.on('keyRemoved', setDirty)
+      jointTrack.on('keyChanged', setDirty)
+      jointTrack.on('loaded', setDirty)
+    })
+  }
+
+  setPose(angles) {
+    this.pose = angles
+    this.setDirty()
+  }
+
+  clearPose() {
+    if (!this.pose) return
+    this.pose = null
+    this.setDirty()
+  }
+
+  evaluate() {
+    const outputs = this.joints.map((joint, index) => this.getOutput('Joint' + index))
+    if (!this.getParameter('Enabled').getValue() || (!this.pose && this.track.getNumKeys() == 0)) {
+      outputs.forEach((output) => output.setClean(output.getValue()))
+      return
+    }
+
+    const angles = this.pose || this.track.evaluate(this.getInput('Time').getValue())
+    const xfos = computeJointXfos(this.joints, angles)
+    outputs.forEach((output, index) => output.setClean(xfos[index]))
+  }
+}
+
+Registry.register('ForwardKinematicsSolver', ForwardKinematicsSolver)
+
+export default ForwardKinematicsSolver
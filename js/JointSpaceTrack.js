@@ -0,0 +1,90 @@
+const { EventEmitter } = window.zeaEngine
+import NumberTrack from './NumberTrack.js'
+
+// Keys the robot in joint space, with one track of angles in degrees per joint.
+// Keys are always set on all of the joints at once, so each key is a complete pose of the robot,
+// and the key values exchanged with the timebar and the key changes are arrays of angles.
+class JointSpaceTrack extends EventEmitter {
+  constructor(name, jointNames) {
+    super()
+    this.name = name
+    this.tracks = jointNames.map((jointName) => new NumberTrack(jointName))
+  }
+
+  get keys() {
+    return this.tracks[0].keys.map((key, index) => ({ time: key.time, value: this.getKeyValue(index) }))
+  }
+
+  getName() {
+    return this.name
+  }
+
+  getNumKeys() {
+    return this.tracks[0].getNumKeys()
+  }
+
+  getKeyTime(index) {
+    return this.tracks[0].getKeyTime(index)
+  }
+
+  getKeyValue(index) {
+    return this.tracks.map((track) => track.getKeyValue(index))
+  }
+
+  setKeyValue(index, angles) {
+    this.tracks.forEach((track, jointIndex) => track.setKeyValue(index, angles[jointIndex]))
+    this.emit('keyChanged', { index })
+  }
+
+  getKeyInterpolation(index) {
+    return this.tracks[0].getKeyInterpolation(index)
+  }
+
+  setKeyInterpolation(index, interpolation) {
+    this.tracks.forEach((track) => track.setKeyInterpolation(index, interpolation))
+    this.emit('keyChanged', { index })
+  }
+
+  getTimeRange() {
+    return this.tracks[0].getTimeRange()
+  }
+
+  addKey(time, angles) {
+    const indices = this.tracks.map((track, jointIndex) => track.addKey(time, angles[jointIndex]))
+    this.emit('keyAdded', { index: indices[0] })
+    return indices[0]
+  }
+
+  removeKey(index) {
+    this.tracks.forEach((track) => track.removeKey(index))
+    this.emit('keyRemoved', { index })
+  }
+
+  findKeyAndLerp(time) {
+    return this.tracks[0].findKeyAndLerp(time)
+  }
+
+  evaluate(time) {
+    return this.tracks.map((track) => track.evaluate(time))
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      type: 'JointSpaceTrack',
+      tracks: this.tracks.map((track) => track.toJSON()),
+    }
+  }
+
+  fromJSON(j) {
+    this.name = j.name
+    this.tracks.forEach((track) => {
+      const trackJson = j.tracks.find((trackJson) => trackJson.name == track.getName())
+      if (trackJson) track.fromJSON(trackJson)
+      else console.warn(`JointSpaceTrack: no keys for joint '${track.getName()}'`)
+    })
+    this.emit('loaded')
+  }
+}
+
+export default JointSpaceTrack
@@ -0,0 +1,97 @@
+const { EventEmitter, MathFunctions } = window.zeaEngine
+import { getKeyInterpolation, setKeyInterpolation, findKeyAndEase, copyInterpolation } from './interpolation.js'
+
+// A track of scalar keys, interpolated according to the interpolation mode of each key.
+// Exposes the same interface as the zea-kinematics tracks so it can be used with the ZeaTimeBar and the key changes.
+class NumberTrack extends EventEmitter {
+  constructor(name) {
+    super()
+    this.name = name
+    this.keys = []
+  }
+
+  getName() {
+    return this.name
+  }
+
+  getNumKeys() {
+    return this.keys.length
+  }
+
+  getKeyTime(index) {
+    return this.keys[index].time
+  }
+
+  getKeyValue(index) {
+    return this.keys[index].value
+  }
+
+  setKeyValue(index, value) {
+    this.keys[index].value = value
+    this.emit('keyChanged', { index })
+  }
+
+  getKeyInterpolation(index) {
+    return getKeyInterpolation(this.keys[index])
+  }
+
+  setKeyInterpolation(index, interpolation) {
+    setKeyInterpolation(this.keys[index], interpolation)
+    this.emit('keyChanged', { index })
+  }
+
+  getTimeRange() {
+    if (this.keys.length == 0) return [Number.NaN, Number.NaN]
+    return [this.keys[0].time, this.keys[this.keys.length - 1].time]
+  }
+
+  addKey(time, value) {
+    let index = this.keys.findIndex((key) => key.time > time)
+    if (index == -1) index = this.keys.length
+    this.keys.splice(index, 0, { time, value })
+    this.emit('keyAdded', { index })
+    return index
+  }
+
+  removeKey(index) {
+    this.keys.splice(index, 1)
+    this.emit('keyRemoved', { index })
+  }
+
+  findKeyAndLerp(time) {
+    const numKeys = this.keys.length
+    if (numKeys == 0) return { keyIndex: -1, lerp: 0 }
+    if (time <= this.keys[0].time) return { keyIndex: 0, lerp: 0 }
+    if (time >= this.keys[numKeys - 1].time) return { keyIndex: numKeys - 1, lerp: 0 }
+    for (let i = 1; i < numKeys; i++) {
+      const key = this.keys[i]
+      if (key.time > time) {
+        const prevKey = this.keys[i - 1]
+        return { keyIndex: i - 1, lerp: (time - prevKey.time) / (key.time - prevKey.time) }
+      }
+    }
+  }
+
+  evaluate(time) {
+    const { keyIndex, lerp } = findKeyAndEase(this, time)
+    if (keyIndex == -1) return 0
+    if (lerp == 0) return this.keys[keyIndex].value
+    return MathFunctions.lerp(this.keys[keyIndex].value, this.keys[keyIndex + 1].value, lerp)
+  }
+
+  toJSON() {
+    return {
+      name: this.name,
+      type: 'NumberTrack',
+      keys: this.keys.map((key) => copyInterpolation(key, { time: key.time, value: key.value })),
+    }
+  }
+
+  fromJSON(j) {
+    this.name = j.name
+    this.keys = j.keys.map((key) => copyInterpolation(key, { time: key.time, value: key.value }))
+    this.emit('loaded')
+  }
+}
+
+export default NumberTrack
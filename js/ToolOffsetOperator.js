@@ -0,0 +1,22 @@
+const { Xfo, XfoParameter, Operator, OperatorInput, OperatorOutput, OperatorOutputMode, Registry } = window.zeaEngine
+
+// Computes where the flange must be for the tool center point to reach the target.
+// The Offset parameter holds the active tool frame, relative to the flange.
+class ToolOffsetOperator extends Operator {
+  constructor(name) {
+    super(name)
+    this.addParameter(new XfoParameter('Offset', new Xfo()))
+    this.addInput(new OperatorInput('Tcp'))
+    this.addOutput(new OperatorOutput('Flange', OperatorOutputMode.OP_WRITE))
+  }
+
+  evaluate() {
+    const tcpXfo = this.getInput('Tcp').getValue()
+    const offset = this.getParameter('Offset').getValue()
+    this.getOutput('Flange').setClean(tcpXfo.multiply(offset.inverse()))
+  }
+}
+
+Registry.register('ToolOffsetOperator', ToolOffsetOperator)
+
+export default ToolOffsetOperator
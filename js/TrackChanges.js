@@ -0,0 +1,192 @@
+const { Change, UndoRedoManager } = window.zeaUx
+
+// Finds the index of the key at exactly the given time, or -1.
+const findKeyAtTime = (track, time) => {
+  const { keyIndex } = track.findKeyAndLerp(time)
+  return keyIndex != -1 && track.getKeyTime(keyIndex) == time ? keyIndex : -1
+}
+
+// Copies a key value, so pasted keys don't share values with the keys they were copied from.
+const cloneKeyValue = (value) => (Array.isArray(value) ? value.slice() : value.clone ? value.clone() : value)
+
+// The base of the changes to a track's keys. The copies of these changes that SessionSync makes for remote users
+// have no track, and do nothing, as key edits are shared by the collaboration module instead.
+// Subclasses apply the change in undoTrack and redoTrack.
+class TrackChange extends Change {
+  undo() {
+    if (this.track) this.undoTrack()
+  }
+
+  redo() {
+    if (this.track) this.redoTrack()
+  }
+
+  // Calls back with the index of the key at the change's time, unless another user's edit has removed it.
+  withKey(callback) {
+    const index = findKeyAtTime(this.track, this.time)
+    if (index != -1) callback(index)
+  }
+}
+
+// Sets the value of the key at the given time, adding a key if there isn't one there already.
+// The key's interpolation, and the path of keys that have one, can optionally be set at the same time.
+class SetKeyChange extends TrackChange {
+  constructor(track, time, value, interpolation, path) {
+    super(track ? `Set Key on ${track.getName()}` : 'SetKeyChange')
+    if (track) {
+      this.track = track
+      this.time = time
+      this.value = value
+      this.interpolation = interpolation
+      this.path = path
+      const index = findKeyAtTime(track, time)
+      if (index != -1) {
+        this.prevValue = track.getKeyValue(index)
+        if (track.getKeyInterpolation) this.prevInterpolation = track.getKeyInterpolation(index)
+        if (track.getKeyPath) this.prevPath = track.getKeyPath(index)
+      }
+      this.redo()
+    }
+  }
+
+  undoTrack() {
+    this.withKey((index) => {
+      if (this.prevValue == undefined) {
+        this.track.removeKey(index)
+        return
+      }
+      this.track.setKeyValue(index, this.prevValue)
+      if (this.interpolation) this.track.setKeyInterpolation(index, this.prevInterpolation)
+      if (this.path) this.track.setKeyPath(index, this.prevPath)
+    })
+  }
+
+  redoTrack() {
+    const index = findKeyAtTime(this.track, this.time)
+    if (index != -1) this.track.setKeyValue(index, this.value)
+    else this.track.addKey(this.time, this.value)
+    if (this.interpolation) this.withKey((index) => this.track.setKeyInterpolation(index, this.interpolation))
+    if (this.path) this.withKey((index) => this.track.setKeyPath(index, this.path))
+  }
+}
+
+// Removes the key at the given time.
+class DeleteKeyChange extends TrackChange {
+  constructor(track, time) {
+    super(track ? `Delete Key on ${track.getName()}` : 'DeleteKeyChange')
+    if (track) {
+      this.track = track
+      this.time = time
+      const index = findKeyAtTime(track, time)
+      this.value = track.getKeyValue(index)
+      if (track.getKeyInterpolation) this.interpolation = track.getKeyInterpolation(index)
+      if (track.getKeyPath) this.path = track.getKeyPath(index)
+      this.redo()
+    }
+  }
+
+  undoTrack() {
+    this.track.addKey(this.time, this.value)
+    if (this.interpolation) this.withKey((index) => this.track.setKeyInterpolation(index, this.interpolation))
+    if (this.path) this.withKey((index) => this.track.setKeyPath(index, this.path))
+  }
+
+  redoTrack() {
+    this.withKey((index) => this.track.removeKey(index))
+  }
+}
+
+// Groups changes that were applied together, such as moving several keys, so they are undone in one step.
+class CompoundChange extends Change {
+  constructor(name, changes = []) {
+    super(name || 'CompoundChange')
+    this.changes = changes
+  }
+
+  undo() {
+    for (let i = this.changes.length - 1; i >= 0; i--) this.changes[i].undo()
+  }
+
+  redo() {
+    this.changes.forEach((change) => change.redo())
+  }
+}
+
+// Moves the keys at the given times by the same offset, replacing any keys already at their new times.
+const moveKeys = (track, times, offset) => {
+  const keys = times.map((time) => {
+    const index = findKeyAtTime(track, time)
+    return {
+      time,
+      value: track.getKeyValue(index),
+      interpolation: track.getKeyInterpolation ? track.getKeyInterpolation(index) : undefined,
+      path: track.getKeyPath ? track.getKeyPath(index) : undefined,
+    }
+  })
+  const changes = keys.map((key) => new DeleteKeyChange(track, key.time))
+  keys.forEach((key) => {
+    changes.push(new SetKeyChange(track, key.time + offset, key.value, key.interpolation, key.path))
+  })
+  return new CompoundChange(`Move Keys on ${track.getName()}`, changes)
+}
+
+// Sets how the animation moves on from the key at the given time.
+class SetKeyInterpolationChange extends TrackChange {
+  constructor(track, time, interpolation) {
+    super(track ? `Set Key Interpolation on ${track.getName()}` : 'SetKeyInterpolationChange')
+    if (track) {
+      this.track = track
+      this.time = time
+      this.interpolation = interpolation
+      this.prevInterpolation = track.getKeyInterpolation(findKeyAtTime(track, time))
+      this.redo()
+    }
+  }
+
+  undoTrack() {
+    this.withKey((index) => this.track.setKeyInterpolation(index, this.prevInterpolation))
+  }
+
+  redoTrack() {
+    this.withKey((index) => this.track.setKeyInterpolation(index, this.interpolation))
+  }
+}
+
+// Sets the path the target follows from the key at the given time to the next key.
+class SetKeyPathChange extends TrackChange {
+  constructor(track, time, path) {
+    super(track ? `Set Key Path on ${track.getName()}` : 'SetKeyPathChange')
+    if (track) {
+      this.track = track
+      this.time = time
+      this.path = path
+      this.prevPath = track.getKeyPath(findKeyAtTime(track, time))
+      this.redo()
+    }
+  }
+
+  undoTrack() {
+    this.withKey((index) => this.track.setKeyPath(index, this.prevPath))
+  }
+
+  redoTrack() {
+    this.withKey((index) => this.track.setKeyPath(index, this.path))
+  }
+}
+
+UndoRedoManager.registerChange('SetKeyChange', SetKeyChange)
+UndoRedoManager.registerChange('SetKeyInterpolationChange', SetKeyInterpolationChange)
+UndoRedoManager.registerChange('SetKeyPathChange', SetKeyPathChange)
+UndoRedoManager.registerChange('DeleteKeyChange', DeleteKeyChange)
+UndoRedoManager.registerChange('CompoundChange', CompoundChange)
+
+export {
+  findKeyAtTime,
+  cloneKeyValue,
+  moveKeys,
+  SetKeyChange,
+  SetKeyInterpolationChange,
+  SetKeyPathChange,
+  DeleteKeyChange,
+  CompoundChange,
+}
@@ -0,0 +1,65 @@
+const { Vec3, Color, Lines, Material, GeomItem } = window.zeaEngine
+
+// The maximum number of points sampled along the path, however long the track is.
+const maxSamples = 2000
+
+// Draws the path of an XfoTrack by sampling the track, so it shows exactly where the sampler moves the target,
+// including arcs and splines, with the axes of each key's orientation.
+class TrackPathDisplay extends GeomItem {
+  constructor(track, { step = 10, axisLength = 0.05 } = {}) {
+    const material = new Material('TrackPathMaterial', 'LinesShader')
+    material.getParameter('BaseColor').setValue(new Color(0.2, 0.4, 1.0))
+    super(`${track.getName()}Path`, new Lines(), material)
+    this.track = track
+    this.step = step
+    this.axisLength = axisLength
+
+    const update = () => this.updatePath()
+    track.on('keyAdded', update)
+    track.on('keyRemoved', update)
+    track.on('keyChanged', update)
+    track.on('loaded', update)
+    this.updatePath()
+  }
+
+  updatePath() {
+    const { track } = this
+    const lines = this.getParameter('Geometry').getValue()
+    const numKeys = track.getNumKeys()
+    const times = []
+    if (numKeys > 1) {
+      const start = track.getKeyTime(0)
+      const end = track.getKeyTime(numKeys - 1)
+      const step = Math.max(this.step, (end - start) / maxSamples)
+      for (let time = start; time < end; time += step) times.push(time)
+      times.push(end)
+    }
+
+    const numPathVertices = times.length
+    lines.setNumVertices(numPathVertices + numKeys * 4)
+    lines.setNumSegments(Math.max(numPathVertices - 1, 0) + numKeys * 3)
+    const positions = lines.getVertexAttribute('positions')
+    times.forEach((time, index) => {
+      positions.getValueRef(index).setFromOther(track.evaluate(time).tr)
+      if (index > 0) lines.setSegmentVertexIndices(index - 1, index - 1, index)
+    })
+
+    const axes = [new Vec3(1, 0, 0), new Vec3(0, 1, 0), new Vec3(0, 0, 1)]
+    for (let key = 0; key < numKeys; key++) {
+      const xfo = track.getKeyValue(key)
+      const vertex = numPathVertices + key * 4
+      const segment = Math.max(numPathVertices - 1, 0) + key * 3
+      positions.getValueRef(vertex).setFromOther(xfo.tr)
+      axes.forEach((axis, index) => {
+        const tip = xfo.tr.add(xfo.ori.rotateVec3(axis.scale(this.axisLength)))
+        positions.getValueRef(vertex + index + 1).setFromOther(tip)
+        lines.setSegmentVertexIndices(segment + index, vertex, vertex + index + 1)
+      })
+    }
+
+    lines.setBoundingBoxDirty()
+    lines.emit('geomDataTopologyChanged')
+  }
+}
+
+export default TrackPathDisplay
@@ -0,0 +1,98 @@
+import { getJointAngles } from './kinematics.js'
+import { sampleTimeline, createSpanRecorder } from './timeline.js'
+
+const defaultOptions = {
+  // The sample interval in ms.
+  step: 20,
+  // Joints turning slower than this many degrees per second are considered still.
+  stillSpeed: 0.1,
+}
+
+// The angles are kept in [-180, 180], so a joint turning through 180 degrees would appear to jump a whole turn.
+const unwrap = (prevAngle, angle) => prevAngle + ((((angle - prevAngle + 180) % 360) + 360) % 360) - 180
+
+// Central differences of the values, per second.
+const differentiate = (values, times) => {
+  return values.map((value, index) => {
+    const prev = Math.max(index - 1, 0)
+    const next = Math.min(index + 1, values.length - 1)
+    return next == prev ? 0 : ((values[next] - values[prev]) / (times[next] - times[prev])) * 1000
+  })
+}
+
+const peak = (values, from = 0, to = values.length - 1) => {
+  let result = 0
+  for (let index = from; index <= to; index++) result = Math.max(result, Math.abs(values[index]))
+  return result
+}
+
+// Samples the solved joint angles over the timeline, and derives each joint's velocity in degrees per second
+// and acceleration in degrees per second squared.
+// Returns { times, cycleTime, movingTime, joints, violations }, where each joint is
+// { name, angles, velocities, accelerations, maxSpeed, maxAcceleration, peakSpeed, peakAcceleration },
+// and each violation is { type: 'speed' | 'acceleration', joint, start, end, peak } for a span where
+// a joint exceeds the limits given in the rig.
+const analyzeMotion = (robot, timeParam, options = {}) => {
+  options = Object.assign({}, defaultOptions, options)
+  const { joints } = robot
+
+  const times = []
+  const samples = joints.map(() => [])
+  sampleTimeline(timeParam, options.step, (time) => {
+    times.push(time)
+    getJointAngles(joints).forEach((angle, index) => {
+      const angles = samples[index]
+      angles.push(angles.length == 0 ? angle : unwrap(angles[angles.length - 1], angle))
+    })
+  })
+
+  const results = joints.map((joint, index) => {
+    const angles = samples[index]
+    const velocities = differentiate(angles, times)
+    const accelerations = differentiate(velocities, times)
+    return {
+      name: joint.name,
+      angles,
+      velocities,
+      accelerations,
+      maxSpeed: joint.maxSpeed,
+      maxAcceleration: joint.maxAcceleration,
+      peakSpeed: peak(velocities),
+      peakAcceleration: peak(accelerations),
+    }
+  })
+
+  const { spans, update } = createSpanRecorder()
+  let movingTime = 0
+  times.forEach((time, sample) => {
+    const moving = results.some((joint) => Math.abs(joint.velocities[sample]) > options.stillSpeed)
+    if (moving && sample > 0) movingTime += time - times[sample - 1]
+    results.forEach((joint) => {
+      if (joint.maxSpeed) {
+        const tooFast = Math.abs(joint.velocities[sample]) > joint.maxSpeed
+        update('speed:' + joint.name, tooFast, time, { type: 'speed', joint: joint.name })
+      }
+      if (joint.maxAcceleration) {
+        const tooHard = Math.abs(joint.accelerations[sample]) > joint.maxAcceleration
+        update('acceleration:' + joint.name, tooHard, time, { type: 'acceleration', joint: joint.name })
+      }
+    })
+  })
+
+  const violations = spans.map((span) => {
+    const joint = results.find((joint) => joint.name == span.joint)
+    const values = span.type == 'speed' ? joint.velocities : joint.accelerations
+    return Object.assign(span, { peak: peak(values, times.indexOf(span.start), times.indexOf(span.end)) })
+  })
+
+  const range = timeParam.getRange()
+  return {
+    times,
+    cycleTime: range[1] - range[0],
+    movingTime,
+    joints: results,
+    violations: violations.sort((a, b) => a.start - b.start),
+  }
+}
+
+export default analyzeMotion
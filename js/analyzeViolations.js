@@ -0,0 +1,71 @@
+const { Vec3 } = window.zeaEngine
+import { computeJointAngles } from './kinematics.js'
+import { sampleTimeline, createSpanRecorder } from './timeline.js'
+
+const AXES = [new Vec3(1, 0, 0), new Vec3(0, 1, 0), new Vec3(0, 0, 1)]
+
+const defaultOptions = {
+  // The sample interval in ms.
+  step: 20,
+  // The distance in meters between the tool center point and the target,
+  // beyond which the target is considered unreachable.
+  reachTolerance: 0.005,
+  // Joints within this many degrees of a limit are considered clamped.
+  limitTolerance: 0.5,
+  // The wrist is considered singular when its first and last axes are within this many degrees of alignment.
+  singularityAngle: 5,
+}
+
+// Samples the animation and returns the time spans where the target can't be reached,
+// a joint sits on its limits, or the wrist is near a singularity.
+// Each violation is { type: 'reach' | 'limit' | 'singularity', joint, start, end }.
+const analyzeViolations = (robot, timeParam, options = {}) => {
+  options = Object.assign({}, defaultOptions, options)
+  const { joints, asset, target, rig, tools } = robot
+  const tip = asset.getChildByName(rig.tip)
+  const wrist = [joints[joints.length - 3], joints[joints.length - 1]]
+
+  const { spans, update } = createSpanRecorder()
+  sampleTimeline(timeParam, options.step, (time) => {
+    if (options.checkReach != false) {
+      const tcpXfo = tools.getTcpXfo(tip.getParameter('GlobalXfo').getValue())
+      const distance = tcpXfo.tr.distanceTo(target.getParameter('GlobalXfo').getValue().tr)
+      update('reach', distance > options.reachTolerance, time, { type: 'reach' })
+    }
+
+    const xfos = joints.map((joint) => joint.group.getParameter('GlobalXfo').getValue())
+    const angles = computeJointAngles(joints, xfos)
+    joints.forEach((joint, index) => {
+      const angle = angles[index]
+      const atLimit =
+        angle <= joint.limits[0] + options.limitTolerance || angle >= joint.limits[1] - options.limitTolerance
+      update('limit:' + joint.name, atLimit, time, { type: 'limit', joint: joint.name })
+    })
+
+    const wristAxes = wrist.map((joint) => xfos[joints.indexOf(joint)].ori.rotateVec3(AXES[joint.axis]))
+    const alignment = Math.abs(wristAxes[0].dot(wristAxes[1]))
+    const singular = alignment > Math.cos((options.singularityAngle * Math.PI) / 180)
+    update('singularity', singular, time, { type: 'singularity' })
+  })
+
+  return spans.sort((a, b) => a.start - b.start)
+}
+
+const labels = {
+  reach: 'Target out of reach',
+  limit: 'At limit',
+  singularity: 'Near wrist singularity',
+  speed: 'Over speed limit',
+  acceleration: 'Over acceleration limit',
+}
+
+const units = { speed: '°/s', acceleration: '°/s²' }
+
+const describeViolation = (violation) => {
+  if (violation.type == 'collision') return `${violation.joint} hits ${violation.obstacle}`
+  let label = labels[violation.type]
+  if (violation.peak != undefined) label += ` (peak ${violation.peak.toFixed(0)}${units[violation.type]})`
+  return violation.joint ? `${violation.joint}: ${label}` : label
+}
+
+export { analyzeViolations, describeViolation }
@@ -0,0 +1,103 @@
+const { EventEmitter } = window.zeaEngine
+const { UndoRedoManager } = window.zeaUx
+const { RemoveKeyChange } = window.zeaKinematics
+import AttachmentTrack, { getRelativePath } from './AttachmentTrack.js'
+import AttachmentOperator from './AttachmentOperator.js'
+import { findKeyAtTime, SetKeyChange } from './TrackChanges.js'
+import { sampleTimes } from './timeline.js'
+
+// Manages the parts that are picked up and set down during the animation.
+// Each part gets an AttachmentTrack, driving an AttachmentOperator that moves the part with whatever holds it.
+// Emits 'changed' whenever an attach or release event is added, removed or loaded.
+const setupAttachments = (root, timeParam) => {
+  const emitter = new EventEmitter()
+  const tracks = new Map()
+
+  const getTrack = (part) => {
+    let track = tracks.get(part)
+    if (!track) {
+      track = new AttachmentTrack(part.getName(), root)
+      const operator = new AttachmentOperator(part.getName() + 'Attachment', track, part)
+      operator.getInput('Time').setParam(timeParam)
+      const changed = () => emitter.emit('changed')
+      track.on('keyAdded', changed)
+      track.on('keyRemoved', changed)
+      track.on('keyChanged', changed)
+      track.on('loaded', changed)
+      tracks.set(part, track)
+    }
+    return track
+  }
+
+  // Captures the part's current pose relative to the target, or in world space when it is released.
+  const makeKey = (part, target) => {
+    const xfo = part.getParameter('GlobalXfo').getValue()
+    if (!target) return { target: null, xfo: xfo.clone() }
+    return { target, xfo: target.getParameter('GlobalXfo').getValue().inverse().multiply(xfo) }
+  }
+
+  const checkTarget = (part, target) => {
+    let item = target
+    while (item) {
+      if (item == part) throw new Error(`Can't attach '${part.getName()}' to itself or one of its children`)
+      item = item.getOwner()
+    }
+  }
+
+  // Attaches the part to the target at the current time. Passing a null target releases the part.
+  const attach = (part, target) => {
+    if (target) checkTarget(part, target)
+    const time = Math.round(timeParam.getValue())
+    const change = new SetKeyChange(getTrack(part), time, makeKey(part, target))
+    UndoRedoManager.getInstance().addChange(change)
+  }
+
+  const release = (part) => attach(part, null)
+
+  // Removes the part's attach or release event at the current time, if there is one.
+  const removeEvent = (part) => {
+    const track = tracks.get(part)
+    if (!track) return
+    const index = findKeyAtTime(track, Math.round(timeParam.getValue()))
+    if (index != -1) UndoRedoManager.getInstance().addChange(new RemoveKeyChange(track, index))
+  }
+
+  // Keys an attachment at the given time without recording an undoable change, e.g. when setting up a scene.
+  const keyAttachment = (part, target, time) => {
+    sampleTimes(timeParam, [time], () => {
+      getTrack(part).addKey(time, makeKey(part, target))
+    })
+  }
+
+  // Returns the item the part is attached to at the given time, or null.
+  const getAttachTarget = (part, time) => {
+    const track = tracks.get(part)
+    const value = track && track.evaluate(time)
+    return value ? value.target : null
+  }
+
+  const getEvents = () => {
+    const events = []
+    tracks.forEach((track, part) => {
+      track.keys.forEach((key) => events.push({ part, target: key.value.target, time: key.time }))
+    })
+    return events.sort((a, b) => a.time - b.time)
+  }
+
+  const toJSON = () => {
+    return Array.from(tracks.entries())
+      .filter(([part, track]) => track.getNumKeys() > 0)
+      .map(([part, track]) => Object.assign(track.toJSON(), { part: getRelativePath(root, part) }))
+  }
+
+  const fromJSON = (j) => {
+    tracks.forEach((track) => track.fromJSON({ name: track.getName(), keys: [] }))
+    j.forEach((trackJson) => getTrack(root.resolvePath(trackJson.part)).fromJSON(trackJson))
+  }
+
+  const on = (eventName, listener) => emitter.on(eventName, listener)
+
+  return { on, attach, release, removeEvent, keyAttachment, getAttachTarget, getEvents, toJSON, fromJSON }
+}
+
+export default setupAttachments
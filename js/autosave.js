@@ -0,0 +1,143 @@
+const { EventEmitter } = window.zeaEngine
+const { UndoRedoManager } = window.zeaUx
+
+const databaseName = 'zea-robot-animation'
+const storeName = 'snapshots'
+
+// Wraps an IndexedDB request in a promise.
+const request = (req) => {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+const openDatabase = () => {
+  const req = indexedDB.open(databaseName, 1)
+  req.onupgradeneeded = () => req.result.createObjectStore(storeName, { keyPath: 'id', autoIncrement: true })
+  return request(req)
+}
+
+const defaultOptions = {
+  // The time in ms to wait after the last edit before saving a snapshot.
+  delay: 3000,
+  // The number of snapshots kept, dropping the oldest.
+  maxSnapshots: 20,
+}
+
+// Saves snapshots of the project to the browser's IndexedDB in the background, a moment after each edit,
+// so the work survives the tab being closed or crashing.
+// Each snapshot is { id, time, filename, reason, unsaved, json },
+// where unsaved is set when the edits haven't been saved to a project file since.
+// Saving the project takes a snapshot that isn't unsaved, so only edits made since are offered for restoring.
+// Besides the undoable changes, the given sources list the { emitter, events } that also count as edits.
+// Emits 'changed' when the list of snapshots changes, or saving a snapshot fails, as getError then says.
+const setupAutosave = (project, sources, options = {}) => {
+  options = Object.assign({}, defaultOptions, options)
+  const emitter = new EventEmitter()
+  let database
+  let timeoutId
+  let pending = false
+  // Why the last snapshot couldn't be saved, until one is.
+  let error = null
+
+  const getDatabase = () => {
+    if (!database) database = openDatabase()
+    return database
+  }
+
+  const getSnapshots = () => {
+    return getDatabase()
+      .then((db) => request(db.transaction(storeName).objectStore(storeName).getAll()))
+      .then((snapshots) => snapshots.sort((a, b) => b.time - a.time))
+  }
+
+  const prune = (db) => {
+    return getSnapshots().then((snapshots) => {
+      const store = db.transaction(storeName, 'readwrite').objectStore(storeName)
+      snapshots.slice(options.maxSnapshots).forEach((record) => store.delete(record.id))
+    })
+  }
+
+  const snapshot = (reason, unsaved) => {
+    clearTimeout(timeoutId)
+    pending = false
+    const record = { time: Date.now(), filename: project.getFilename(), reason, unsaved, json: project.toJSON() }
+    return getDatabase()
+      .then((db) => {
+        return request(db.transaction(storeName, 'readwrite').objectStore(storeName).add(record)).then(() => prune(db))
+      })
+      .then(() => {
+        error = null
+        emitter.emit('changed')
+      })
+      .catch((reason) => {
+        error = reason
+        emitter.emit('changed')
+      })
+  }
+
+  const schedule = () => {
+    pending = true
+    clearTimeout(timeoutId)
+    timeoutId = setTimeout(() => snapshot('Autosave', true), options.delay)
+  }
+
+  const undoRedoManager = UndoRedoManager.getInstance()
+  undoRedoManager.on('changeAdded', schedule)
+  undoRedoManager.on('changeUpdated', schedule)
+  undoRedoManager.on('changeUndone', schedule)
+  undoRedoManager.on('changeRedone', schedule)
+  sources.forEach(({ emitter: source, events }) => events.forEach((eventName) => source.on(eventName, schedule)))
+
+  // Loading a project changes the clips, which isn't an edit of its own.
+  project.on('loaded', () => {
+    clearTimeout(timeoutId)
+    pending = false
+  })
+  project.on('saved', () => snapshot('Saved', false))
+
+  // Pending edits are saved straight away when the tab is hidden, which is the last chance before it is closed.
+  document.addEventListener('visibilitychange', () => {
+    if (document.visibilityState == 'hidden' && pending) snapshot('Autosave', true)
+  })
+
+  // Edits that haven't been saved yet are kept in a snapshot of their own before going back.
+  // The snapshot is read first, as saving the edits may drop it if it is the oldest.
+  const restore = (id) => {
+    return getDatabase()
+      .then((db) => request(db.transaction(storeName).objectStore(storeName).get(id)))
+      .then((record) => {
+        if (!record) throw new Error('The snapshot no longer exists')
+        return (pending ? snapshot('Autosave', true) : Promise.resolve()).then(() => project.fromJSON(record.json))
+      })
+  }
+
+  // Offers to restore the edits left unsaved by the last session, if there are any.
+  // Rejects if they can't be read or restored.
+  const offerRestore = () => {
+    return getSnapshots()
+      .then((snapshots) => {
+        const latest = snapshots[0]
+        if (!latest || !latest.unsaved) return
+        const time = new Date(latest.time).toLocaleString()
+        if (confirm(`Restore the unsaved changes to '${latest.filename}' from ${time}?`)) return restore(latest.id)
+        // Declined changes are kept as a snapshot, but aren't offered again.
+        latest.unsaved = false
+        return getDatabase().then((db) => {
+          return request(db.transaction(storeName, 'readwrite').objectStore(storeName).put(latest))
+        })
+      })
+      .catch((reason) => {
+        throw new Error(`Unable to restore the last session: ${reason.message}`)
+      })
+  }
+
+  const getError = () => error
+
+  const on = (eventName, listener) => emitter.on(eventName, listener)
+
+  return { on, getSnapshots, snapshot, restore, offerRestore, getError }
+}
+
+export default setupAutosave
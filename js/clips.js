@@ -0,0 +1,219 @@
+const { EventEmitter } = window.zeaEngine
+const { UndoRedoManager } = window.zeaUx
+
+// Manages the named clips of the animation, such as 'pick', 'place' and 'home'.
+// The robot is always driven by the same tracks, so switching clips stores the keys of the current clip,
+// and loads the keys of the next one into the tracks. Each clip also has its own range and attach events.
+// Clips can be chained into a sequence, which plays each clip in turn.
+// Emits 'changed' when clips are added, removed or renamed, or the sequence changes,
+// and 'clipChanged' when switching to another clip.
+const setupClips = (animation, timecontrols) => {
+  const { timeParam, xfoTrack, jointTrack, attachments } = animation
+  const emitter = new EventEmitter()
+
+  const store = () => ({
+    xfoTrack: xfoTrack.toJSON(),
+    jointTrack: jointTrack.toJSON(),
+    attachments: attachments.toJSON(),
+  })
+  // Missing parts, e.g. from a file that only held one track, are left empty.
+  const load = (data) => {
+    data = Object.assign({}, emptyData, data)
+    xfoTrack.fromJSON(data.xfoTrack)
+    jointTrack.fromJSON(data.jointTrack)
+    attachments.fromJSON(data.attachments)
+  }
+
+  // The tracks are still empty, so this is the data of a new clip.
+  const emptyData = store()
+
+  const clips = [{ name: 'Clip 1', range: timeParam.getRange().slice(), data: null }]
+  let currentClip = clips[0]
+  let sequence = []
+  let sequenceIndex = -1
+
+  const getClip = (name) => {
+    const clip = clips.find((clip) => clip.name == name)
+    if (!clip) throw new Error(`No clip called '${name}'`)
+    return clip
+  }
+
+  const checkName = (name) => {
+    if (!name) throw new Error('Clips must have a name')
+    if (clips.some((clip) => clip.name == name)) throw new Error(`There is already a clip called '${name}'`)
+  }
+
+  const getClips = () => clips.map((clip) => ({ name: clip.name, length: clip.range[1] - clip.range[0] }))
+
+  const getCurrentClip = () => currentClip.name
+
+  // Changes recorded on the previous clip can't be undone once its keys are unloaded.
+  const switchTo = (clip) => {
+    if (clip == currentClip) return
+    currentClip.data = store()
+    currentClip = clip
+    timeParam.setRange(clip.range.slice())
+    timecontrols.rangeChanged()
+    load(clip.data)
+    clip.data = null
+    UndoRedoManager.getInstance().flush()
+    timeParam.setValue(clip.range[0])
+    emitter.emit('clipChanged', { name: clip.name })
+  }
+
+  const setCurrentClip = (name) => {
+    sequenceIndex = -1
+    switchTo(getClip(name))
+  }
+
+  const createClip = (name, length = 5000) => {
+    checkName(name)
+    clips.push({ name, range: [0, length], data: emptyData })
+    emitter.emit('changed')
+    setCurrentClip(name)
+  }
+
+  const duplicateClip = (name, newName) => {
+    checkName(newName)
+    const clip = getClip(name)
+    const data = clip == currentClip ? store() : clip.data
+    clips.push({ name: newName, range: clip.range.slice(), data })
+    emitter.emit('changed')
+    setCurrentClip(newName)
+  }
+
+  const renameClip = (name, newName) => {
+    checkName(newName)
+    getClip(name).name = newName
+    sequence = sequence.map((clipName) => (clipName == name ? newName : clipName))
+    emitter.emit('changed')
+  }
+
+  const deleteClip = (name) => {
+    if (clips.length == 1) throw new Error("The last clip can't be deleted")
+    const clip = getClip(name)
+    if (clip == currentClip) setCurrentClip(clips.find((other) => other != clip).name)
+    clips.splice(clips.indexOf(clip), 1)
+    sequence = sequence.filter((clipName) => clipName != name)
+    emitter.emit('changed')
+  }
+
+  const setClipLength = (name, length) => {
+    const clip = getClip(name)
+    clip.range = [clip.range[0], clip.range[0] + length]
+    if (clip == currentClip) {
+      timeParam.setRange(clip.range.slice())
+      timecontrols.rangeChanged()
+    }
+    emitter.emit('changed')
+  }
+
+  // The range of the current clip can also be changed using the handles on the timebar.
+  timecontrols.addEventListener('rangeChanged', (event) => {
+    currentClip.range = event.detail.range.slice()
+    emitter.emit('changed')
+  })
+
+  // The keys and attach events of a clip, as stored when it isn't the current clip.
+  const getClipData = (name) => {
+    const clip = getClip(name)
+    return clip == currentClip ? store() : Object.assign({}, emptyData, clip.data)
+  }
+
+  // Replaces the keys and attach events of a clip, e.g. with edits made by another user.
+  const setClipData = (name, data) => {
+    const clip = getClip(name)
+    if (clip == currentClip) load(data)
+    else clip.data = data
+  }
+
+  const getSequence = () => sequence.slice()
+
+  const setSequence = (names) => {
+    names.forEach(getClip)
+    sequence = names.slice()
+    emitter.emit('changed')
+  }
+
+  // Plays the clips of the sequence one after the other, looping back to the first.
+  const playSequence = () => {
+    if (sequence.length == 0) return
+    timecontrols.pause()
+    switchTo(getClip(sequence[0]))
+    sequenceIndex = 0
+    timeParam.setValue(currentClip.range[0])
+    timecontrols.play()
+  }
+
+  // Takes over at the end of each clip of the sequence, unless playing once and the sequence has finished.
+  timecontrols.addEventListener('ended', (event) => {
+    if (sequenceIndex == -1) return
+    if (timecontrols.loopMode == 'once' && sequenceIndex == sequence.length - 1) {
+      sequenceIndex = -1
+      return
+    }
+    sequenceIndex = (sequenceIndex + 1) % sequence.length
+    switchTo(getClip(sequence[sequenceIndex]))
+    event.preventDefault()
+  })
+
+  const toJSON = () => {
+    return {
+      clips: clips.map((clip) => ({
+        name: clip.name,
+        range: clip.range.slice(),
+        data: clip == currentClip ? store() : clip.data,
+      })),
+      currentClip: currentClip.name,
+      sequence: sequence.slice(),
+    }
+  }
+
+  // Replaces all of the clips. Clips without a range keep the current one.
+  const fromJSON = (j) => {
+    if (!j.clips || j.clips.length == 0) throw new Error('There are no clips to load')
+    const names = j.clips.map((clipJson) => clipJson.name)
+    if (names.some((name, index) => !name || names.indexOf(name) != index)) {
+      throw new Error('Each clip must have a different name')
+    }
+    const range = timeParam.getRange().slice()
+    clips.length = 0
+    j.clips.forEach((clipJson) => {
+      clips.push({ name: clipJson.name, range: (clipJson.range || range).slice(), data: clipJson.data })
+    })
+    currentClip = clips.find((clip) => clip.name == j.currentClip) || clips[0]
+    sequence = (j.sequence || []).filter((name) => clips.some((clip) => clip.name == name))
+    sequenceIndex = -1
+    timeParam.setRange(currentClip.range.slice())
+    timecontrols.rangeChanged()
+    load(currentClip.data)
+    currentClip.data = null
+    UndoRedoManager.getInstance().flush()
+    timeParam.setValue(currentClip.range[0])
+    emitter.emit('changed')
+    emitter.emit('clipChanged', { name: currentClip.name })
+  }
+
+  const on = (eventName, listener) => emitter.on(eventName, listener)
+
+  return {
+    on,
+    getClips,
+    getCurrentClip,
+    setCurrentClip,
+    createClip,
+    duplicateClip,
+    renameClip,
+    deleteClip,
+    setClipLength,
+    getClipData,
+    setClipData,
+    getSequence,
+    setSequence,
+    playSequence,
+    toJSON,
+    fromJSON,
+  }
+}
+
+export default setupClips
@@ -0,0 +1,323 @@
+const { EventEmitter } = window.zeaEngine
+
+const messages = {
+  keysEdited: 'RobotAnimation_keysEdited',
+  keysRequested: 'RobotAnimation_keysRequested',
+  presenceChanged: 'RobotAnimation_presenceChanged',
+}
+
+const defaultOptions = {
+  // The time in ms between messages about the playhead, e.g. while playing.
+  interval: 50,
+}
+
+// Orders edits of the same key. The edit with the later clock wins, and edits with the same clock,
+// made at the same time by different users, are ordered by user id, so every user ends up with the same key.
+const compareStamps = (a, b) => a.clock - b.clock || (a.userId < b.userId ? -1 : a.userId > b.userId ? 1 : 0)
+const unstamped = { clock: 0, userId: '' }
+
+// Lists the keys and attach events of a clip's data by an id made of the track and the time,
+// so an edit is applied to the same key on each user.
+const readKeys = (data) => {
+  const keys = new Map()
+  data.xfoTrack.keys.forEach((key) => keys.set(`xfoTrack/${key.time}`, key))
+  const jointTracks = data.jointTrack.tracks
+  if (jointTracks.length > 0) {
+    jointTracks[0].keys.forEach((key, index) => {
+      keys.set(`jointTrack/${key.time}`, { time: key.time, keys: jointTracks.map((track) => track.keys[index]) })
+    })
+  }
+  data.attachments.forEach(({ part, name, keys: attachmentKeys }) => {
+    attachmentKeys.forEach((key) => keys.set(`attachments/${JSON.stringify(part)}/${key.time}`, { part, name, key }))
+  })
+  return keys
+}
+
+// Rebuilds a clip's data from its keys.
+const writeKeys = (data, keys) => {
+  const entries = (prefix) => {
+    return Array.from(keys.entries())
+      .filter(([id]) => id.startsWith(prefix))
+      .map(([id, entry]) => entry)
+  }
+  const byTime = (a, b) => a.time - b.time
+  const jointKeys = entries('jointTrack/').sort(byTime)
+  const attachments = []
+  entries('attachments/')
+    .sort((a, b) => a.key.time - b.key.time)
+    .forEach(({ part, name, key }) => {
+      let track = attachments.find((track) => JSON.stringify(track.part) == JSON.stringify(part))
+      if (!track) {
+        track = { name, type: 'AttachmentTrack', keys: [], part }
+        attachments.push(track)
+      }
+      track.keys.push(key)
+    })
+  return {
+    xfoTrack: Object.assign({}, data.xfoTrack, { keys: entries('xfoTrack/').sort(byTime) }),
+    jointTrack: Object.assign({}, data.jointTrack, {
+      tracks: data.jointTrack.tracks.map((track, index) => {
+        return Object.assign({}, track, { keys: jointKeys.map((entry) => entry.keys[index]) })
+      }),
+    }),
+    attachments,
+  }
+}
+
+// Shares the keys and attach events of the clips with the other users in the session, and shows where they are
+// on the timebar. Only the pub, sub and getUser methods of the session are used, so it can be driven by a stand-in.
+//
+// Whatever changes the keys, such as keying, moving, pasting, recording or undoing, is sent as the keys that changed.
+// Each edit is stamped with a logical clock and the user's id, and an edit is only applied if its stamp is later than
+// the last edit of the same key, so simultaneous edits of a key resolve to the same key for everyone.
+// A key is identified by its time, so moving a key removes it and adds another, and two users moving the same key
+// at once each leave a copy. Clips are matched by name, and edits to clips the user doesn't have are ignored.
+//
+// Each user's playhead and selected keys are drawn on the timebar in their color. While a user leads the playhead,
+// everyone else follows it, until they move the time themselves.
+// The undo history is kept when other users edit the keys. Undoing sets the keys the change made back,
+// as another edit, and skips those other users have removed since.
+// Emits 'keysChanged' after applying another user's edits, and 'leaderChanged' when someone starts or stops leading.
+const setupCollaboration = (session, userData, animation, timecontrols, options = {}) => {
+  options = Object.assign({}, defaultOptions, options)
+  // zea-collab is only loaded once the server is known.
+  const { Session } = window.zeaCollab
+  const { timeParam, clips } = animation
+  const emitter = new EventEmitter()
+  const userId = userData.id
+  let clock = 0
+
+  // For each clip, the keys as last sent or received, and the stamp of the last edit of each key.
+  const clipStates = new Map()
+  const getState = (clip) => {
+    let state = clipStates.get(clip)
+    if (!state) {
+      const known = new Map()
+      readKeys(clips.getClipData(clip)).forEach((entry, id) => known.set(id, JSON.stringify(entry)))
+      state = { known, stamps: new Map() }
+      clipStates.set(clip, state)
+    }
+    return state
+  }
+  const hasClip = (clip) => clips.getClips().some(({ name }) => name == clip)
+  // The keys already there are taken as unedited.
+  getState(clips.getCurrentClip())
+
+  ///////////////////////////////////////
+  // Key edits
+
+  // Sends the keys of the current clip that changed since they were last sent.
+  let flushPending = false
+  const flush = () => {
+    flushPending = false
+    const clip = clips.getCurrentClip()
+    const { known, stamps } = getState(clip)
+    const keys = readKeys(clips.getClipData(clip))
+    const edits = []
+    keys.forEach((entry, id) => {
+      const json = JSON.stringify(entry)
+      if (known.get(id) == json) return
+      known.set(id, json)
+      edits.push({ id, entry })
+    })
+    known.forEach((json, id) => {
+      if (keys.has(id)) return
+      known.delete(id)
+      edits.push({ id, entry: null })
+    })
+    if (edits.length == 0) return
+    const stamp = { clock: ++clock, userId }
+    edits.forEach((edit) => {
+      edit.stamp = stamp
+      stamps.set(edit.id, stamp)
+    })
+    session.pub(messages.keysEdited, { clip, edits })
+  }
+
+  // Edits that happen together, such as removing and adding the keys that are moved, are sent together.
+  const scheduleFlush = () => {
+    if (flushPending) return
+    flushPending = true
+    Promise.resolve().then(flush)
+  }
+
+  const { xfoTrack, jointTrack, attachments } = animation
+  const trackEvents = ['keyAdded', 'keyRemoved', 'keyChanged', 'loaded']
+  trackEvents.forEach((eventName) => {
+    xfoTrack.on(eventName, scheduleFlush)
+    jointTrack.on(eventName, scheduleFlush)
+  })
+  attachments.on('changed', scheduleFlush)
+
+  const applyEdits = ({ clip, edits }, fromUserId) => {
+    edits.forEach(({ stamp }) => (clock = Math.max(clock, stamp.clock)))
+    if (!hasClip(clip)) return
+    // Edits not sent yet are sent first, so they are stamped before the incoming edits are compared with them.
+    if (clip == clips.getCurrentClip()) flush()
+    const { known, stamps } = getState(clip)
+    const keys = readKeys(clips.getClipData(clip))
+    const applied = edits.filter(({ id, entry, stamp }) => {
+      if (compareStamps(stamp, stamps.get(id) || unstamped) <= 0) return false
+      stamps.set(id, stamp)
+      if (entry) keys.set(id, entry)
+      else keys.delete(id)
+      return true
+    })
+    if (applied.length == 0) return
+    clips.setClipData(clip, writeKeys(clips.getClipData(clip), keys))
+    const newKeys = readKeys(clips.getClipData(clip))
+    applied.forEach(({ id }) => {
+      if (newKeys.has(id)) known.set(id, JSON.stringify(newKeys.get(id)))
+      else known.delete(id)
+    })
+    emitter.emit('keysChanged', { clip, userId: fromUserId })
+  }
+  session.sub(messages.keysEdited, applyEdits)
+
+  // Sends every key that has been edited in the session, so a user who has just joined catches up.
+  session.sub(messages.keysRequested, () => {
+    flush()
+    clipStates.forEach(({ stamps }, clip) => {
+      if (stamps.size == 0 || !hasClip(clip)) return
+      const keys = readKeys(clips.getClipData(clip))
+      const edits = Array.from(stamps.entries()).map(([id, stamp]) => ({ id, entry: keys.get(id) || null, stamp }))
+      session.pub(messages.keysEdited, { clip, edits })
+    })
+  })
+
+  const requestKeys = () => session.pub(messages.keysRequested, {})
+
+  // Should be called after opening a project. The keys as opened are taken as unedited,
+  // and the edits made in the session so far are asked for again.
+  const reset = () => {
+    flushPending = false
+    clipStates.clear()
+    getState(clips.getCurrentClip())
+    requestKeys()
+  }
+
+  ///////////////////////////////////////
+  // Playheads and selections
+
+  const users = new Map()
+  // When this user started leading, or 0.
+  let leadingSince = 0
+  let leaderId = null
+  let following = false
+  let selectedTimes = []
+
+  const updateUsers = () => {
+    const clip = clips.getCurrentClip()
+    const track = animation.getTrack().getName()
+    const visible = Array.from(users.entries()).filter(([id, user]) => user.clip == clip && session.getUser(id))
+    timecontrols.setUsers(
+      visible.map(([id, user]) => ({
+        time: user.time,
+        times: user.track == track ? user.times : [],
+        color: session.getUser(id).color,
+      }))
+    )
+  }
+
+  const setLeader = (id) => {
+    if (id == leaderId) return
+    leaderId = id
+    emitter.emit('leaderChanged', { userId: leaderId })
+  }
+
+  // Sends this user's playhead and selection, at most once per interval.
+  let lastSent = 0
+  let sendTimeoutId
+  const sendPresence = () => {
+    clearTimeout(sendTimeoutId)
+    const wait = lastSent + options.interval - Date.now()
+    if (wait > 0) {
+      sendTimeoutId = setTimeout(sendPresence, wait)
+      return
+    }
+    lastSent = Date.now()
+    session.pub(messages.presenceChanged, {
+      clip: clips.getCurrentClip(),
+      time: timeParam.getValue(),
+      track: animation.getTrack().getName(),
+      times: selectedTimes,
+      leadingSince,
+    })
+  }
+
+  // Moving the time, other than to follow the leader, stops following.
+  timeParam.on('valueChanged', () => {
+    if (!following && leaderId) setLeader(null)
+    sendPresence()
+  })
+  timecontrols.addEventListener('selectionChanged', (event) => {
+    selectedTimes = event.detail.times
+    sendPresence()
+    updateUsers()
+  })
+  clips.on('clipChanged', ({ name }) => {
+    // The keys of a clip don't change by switching to it, so they are what was last sent.
+    getState(name)
+    sendPresence()
+    updateUsers()
+  })
+
+  const follow = ({ clip, time }) => {
+    following = true
+    try {
+      if (clip != clips.getCurrentClip() && hasClip(clip)) clips.setCurrentClip(clip)
+      if (timecontrols.playing) timecontrols.pause()
+      timeParam.setValue(time)
+    } finally {
+      following = false
+    }
+  }
+
+  session.sub(messages.presenceChanged, (presence, fromUserId) => {
+    const previous = users.get(fromUserId)
+    users.set(fromUserId, presence)
+    if (presence.leadingSince && (!previous || previous.leadingSince != presence.leadingSince)) {
+      // Only one user leads at a time, so the last one to start takes over.
+      leadingSince = 0
+      setLeader(fromUserId)
+    } else if (!presence.leadingSince && fromUserId == leaderId) {
+      setLeader(null)
+    }
+    if (fromUserId == leaderId) follow(presence)
+    updateUsers()
+  })
+
+  session.sub(Session.actions.USER_JOINED, () => {
+    lastSent = 0
+    sendPresence()
+  })
+  session.sub(Session.actions.USER_LEFT, (user) => {
+    users.delete(user.id)
+    if (user.id == leaderId) setLeader(null)
+    updateUsers()
+  })
+  session.sub(Session.actions.LEFT_ROOM, () => {
+    users.clear()
+    setLeader(null)
+    updateUsers()
+  })
+
+  // While leading, the other users' playheads follow this user's playhead.
+  // Starting to lead again brings back the users who stopped following.
+  const setLeading = (value) => {
+    leadingSince = value ? Date.now() : 0
+    if (value) setLeader(null)
+    lastSent = 0
+    sendPresence()
+  }
+
+  const isLeading = () => leadingSince > 0
+
+  const getLeader = () => leaderId
+
+  const on = (eventName, listener) => emitter.on(eventName, listener)
+
+  return { on, reset, requestKeys, setLeading, isLeading, getLeader }
+}
+
+export default setupCollaboration
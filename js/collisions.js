@@ -0,0 +1,151 @@
+const { Vec3, Box3, Color, BaseGeomItem, Group } = window.zeaEngine
+import { sampleTimeline, createSpanRecorder } from './timeline.js'
+
+const defaultOptions = {
+  // The sample interval in ms.
+  step: 20,
+  // Geometries closer than this many meters are considered to collide.
+  margin: 0,
+  // Points closer than this many meters to a link are reported.
+  proximity: 0.02,
+}
+
+const WORLD_AXES = [new Vec3(1, 0, 0), new Vec3(0, 1, 0), new Vec3(0, 0, 1)]
+
+const collectGeomItems = (item) => {
+  const geomItems = []
+  const roots = item instanceof Group ? Array.from(item.getParameter('Items').getValue()) : [item]
+  roots.forEach((root) => {
+    root.traverse((child) => {
+      if (child instanceof BaseGeomItem) geomItems.push(child)
+    })
+  })
+  return geomItems
+}
+
+// Returns the oriented bounding box of the geometry, or its axis aligned bounding box
+// when the geometry isn't available on the item.
+const makeOBB = (geomItem) => {
+  const geomParam = geomItem.getParameter('Geometry')
+  const geom = geomParam && geomParam.getValue()
+  if (geom) {
+    const box = geom.getBoundingBox()
+    const mat = geomItem.getParameter('GeomMat').getValue()
+    const size = box.size()
+    const scaledAxes = [mat.xAxis, mat.yAxis, mat.zAxis]
+    return {
+      center: mat.transformVec3(box.center()),
+      axes: scaledAxes.map((axis) => axis.normalize()),
+      halfSizes: [size.x, size.y, size.z].map((value, index) => value * 0.5 * scaledAxes[index].length()),
+    }
+  }
+  const box = geomItem.getParameter('BoundingBox').getValue()
+  const size = box.size()
+  return { center: box.center(), axes: WORLD_AXES, halfSizes: [size.x * 0.5, size.y * 0.5, size.z * 0.5] }
+}
+
+const projectedRadius = (obb, axis) =>
+  obb.axes.reduce((sum, obbAxis, index) => sum + obb.halfSizes[index] * Math.abs(obbAxis.dot(axis)), 0)
+
+// Separating axis test between two oriented bounding boxes.
+const obbsIntersect = (a, b, margin) => {
+  const offset = b.center.subtract(a.center)
+  const axes = [...a.axes, ...b.axes]
+  a.axes.forEach((axisA) => {
+    b.axes.forEach((axisB) => {
+      const axis = axisA.cross(axisB)
+      if (axis.lengthSquared() > 1e-10) axes.push(axis.normalize())
+    })
+  })
+  return axes.every(
+    (axis) => Math.abs(offset.dot(axis)) <= projectedRadius(a, axis) + projectedRadius(b, axis) + margin
+  )
+}
+
+const obbsBox = (obbs) => {
+  const box = new Box3()
+  obbs.forEach((obb) => {
+    const extents = WORLD_AXES.map((axis) => projectedRadius(obb, axis))
+    box.addPoint(new Vec3(obb.center.x - extents[0], obb.center.y - extents[1], obb.center.z - extents[2]))
+    box.addPoint(new Vec3(obb.center.x + extents[0], obb.center.y + extents[1], obb.center.z + extents[2]))
+  })
+  return box
+}
+
+// Returns true if any of the points, given as a flat array of x, y, z values, is within the distance of the boxes.
+const pointsNearOBBs = (points, obbs, distance) => {
+  const box = obbsBox(obbs)
+  for (let i = 0; i < points.length; i += 3) {
+    const x = points[i]
+    const y = points[i + 1]
+    const z = points[i + 2]
+    if (x < box.p0.x - distance || x > box.p1.x + distance) continue
+    if (y < box.p0.y - distance || y > box.p1.y + distance) continue
+    if (z < box.p0.z - distance || z > box.p1.z + distance) continue
+    const near = obbs.some((obb) => {
+      const offset = new Vec3(x - obb.center.x, y - obb.center.y, z - obb.center.z)
+      return obb.axes.every((axis, index) => Math.abs(offset.dot(axis)) <= obb.halfSizes[index] + distance)
+    })
+    if (near) return true
+  }
+  return false
+}
+
+// Samples the animation and returns the time spans where a link of the robot collides with one of the obstacles,
+// or comes within the proximity distance of the points.
+// Each collision is { type: 'collision', joint, obstacle, start, end }.
+// options.isIgnored(jointName, obstacle, time) can be used to skip expected contacts, e.g. with a gripped part.
+const analyzeCollisions = (robot, obstacles, timeParam, options = {}) => {
+  options = Object.assign({}, defaultOptions, options)
+  const links = robot.joints.map((joint) => ({ name: joint.name, geomItems: collectGeomItems(joint.group) }))
+  const obstacleGeoms = obstacles.map((item) => ({ item, geomItems: collectGeomItems(item) }))
+
+  const { spans, update } = createSpanRecorder()
+  sampleTimeline(timeParam, options.step, (time) => {
+    const obstacleOBBs = obstacleGeoms.map((obstacle) => obstacle.geomItems.map(makeOBB))
+    links.forEach((link) => {
+      const linkOBBs = link.geomItems.map(makeOBB)
+      obstacleGeoms.forEach((obstacle, index) => {
+        const name = obstacle.item.getName()
+        const ignored = options.isIgnored && options.isIgnored(link.name, obstacle.item, time)
+        const hit =
+          !ignored && linkOBBs.some((a) => obstacleOBBs[index].some((b) => obbsIntersect(a, b, options.margin)))
+        update(link.name + ':' + name, hit, time, { type: 'collision', joint: link.name, obstacle: name })
+      })
+      if (options.points) {
+        const near = pointsNearOBBs(options.points, linkOBBs, options.proximity)
+        update(link.name + ':points', near, time, { type: 'collision', joint: link.name, obstacle: 'Point Cloud' })
+      }
+    })
+  })
+
+  return spans.sort((a, b) => a.start - b.start)
+}
+
+// Highlights the links and obstacles that collide at the given time.
+const highlightColor = new Color('#e52011')
+highlightColor.a = 0.3
+let highlightedItems = new Set()
+const highlightCollisions = (robot, obstacles, collisions, time) => {
+  const items = new Set()
+  collisions.forEach((collision) => {
+    if (time < collision.start || time > collision.end) return
+    const joint = robot.joints.find((joint) => joint.name == collision.joint)
+    joint.group
+      .getParameter('Items')
+      .getValue()
+      .forEach((item) => items.add(item))
+    const obstacle = obstacles.find((item) => item.getName() == collision.obstacle)
+    if (obstacle) items.add(obstacle)
+  })
+
+  highlightedItems.forEach((item) => {
+    if (!items.has(item)) item.removeHighlight('collision', true)
+  })
+  items.forEach((item) => {
+    if (!highlightedItems.has(item)) item.addHighlight('collision', highlightColor, true)
+  })
+  highlightedItems = items
+}
+
+export { analyzeCollisions, highlightCollisions }
@@ -0,0 +1,13 @@
+// Saves the given text to a file in the user's downloads.
+const download = (filename, text, type = 'application/json') => {
+  const blob = new Blob([text], { type })
+  const a = document.createElement('a')
+  a.href = URL.createObjectURL(blob)
+  a.download = filename
+  document.body.appendChild(a)
+  a.click()
+  document.body.removeChild(a)
+  URL.revokeObjectURL(a.href)
+}
+
+export default download
@@ -0,0 +1,183 @@
+const { MathFunctions } = window.zeaEngine
+import { getJointAngles, quatToRPY } from './kinematics.js'
+import { sampleTimes, sampleTimeline } from './timeline.js'
+
+const fixed = (value, digits = 3) => value.toFixed(digits)
+
+// Samples the solved joint angles at the given rate in Hz.
+// Each row holds the time in seconds, followed by each joint's angle in degrees.
+const exportJointTrajectory = (robot, timeParam, rate) => {
+  const rows = [['time', ...robot.joints.map((joint) => joint.name)].join(',')]
+  sampleTimeline(timeParam, 1000 / rate, (time) => {
+    const angles = getJointAngles(robot.joints)
+    rows.push([fixed(time / 1000), ...angles.map((angle) => fixed(angle))].join(','))
+  })
+  return rows.join('\n') + '\n'
+}
+
+// The fractions of the way through a segment where the robot is also solved, for paths that aren't straight.
+// Any point on an arc defines the circle, so its middle serves as the auxiliary point of a circular move.
+const pathSamples = { lin: [], circ: [0.5], spline: [0.25, 0.5, 0.75] }
+
+// Solves the robot at each key of the track, and along the path leading up to each key.
+const sampleKeys = (robot, timeParam, track) => {
+  const tip = robot.asset.getChildByName(robot.rig.tip)
+  const keys = []
+  const times = []
+  for (let i = 0; i < track.getNumKeys(); i++) {
+    const time = track.getKeyTime(i)
+    const path = i > 0 && track.getKeyPath ? track.getKeyPath(i - 1).type : 'lin'
+    const prevTime = i > 0 ? track.getKeyTime(i - 1) : time
+    const via = pathSamples[path].map((fraction) => prevTime + (time - prevTime) * fraction)
+    keys.push({ time, path, via })
+    times.push(...via, time)
+  }
+
+  const solved = new Map()
+  sampleTimes(timeParam, times, (time) => {
+    const angles = getJointAngles(robot.joints)
+    const xfo = robot.tools.getTcpXfo(tip.getParameter('GlobalXfo').getValue())
+    solved.set(time, { time, angles, xfo })
+  })
+  return keys.map((key) =>
+    Object.assign({}, solved.get(key.time), { path: key.path, via: key.via.map((time) => solved.get(time)) })
+  )
+}
+
+// Positions are written in mm, and orientations as Z, Y, X euler angles in degrees.
+const cartesian = (xfo) => {
+  const [roll, pitch, yaw] = quatToRPY(xfo.ori).map(MathFunctions.radToDeg)
+  const { x, y, z } = xfo.tr.scale(1000)
+  return { x, y, z, a: yaw, b: pitch, c: roll }
+}
+
+const krlFrame = (xfo) => {
+  const { x, y, z, a, b, c } = cartesian(xfo)
+  return `{X ${fixed(x)}, Y ${fixed(y)}, Z ${fixed(z)}, A ${fixed(a)}, B ${fixed(b)}, C ${fixed(c)}}`
+}
+
+// The flange needs no tool data, as it is the controllers' own tool0 or null frame.
+const isFlange = (tool) => tool.xfo.isIdentity()
+
+const rapidToolName = (tool) => (isFlange(tool) ? 'tool0' : `t${tool.name.replace(/\W/g, '_')}`)
+
+const robTarget = (xfo) => {
+  const { x, y, z } = cartesian(xfo)
+  const { ori } = xfo
+  const quat = [ori.w, ori.x, ori.y, ori.z].map((value) => fixed(value, 6)).join(',')
+  return `[[${fixed(x)},${fixed(y)},${fixed(z)}],[${quat}],[0,0,0,0],[9E9,9E9,9E9,9E9,9E9,9E9]]`
+}
+
+const formats = {
+  krl: {
+    extension: 'src',
+    // The poses are those of the tool center point, so the tool is set before the first move.
+    header: (name, tool) => {
+      const toolFrame = isFlange(tool) ? '$NULLFRAME' : krlFrame(tool.xfo)
+      return ['&ACCESS RVP', `DEF ${name}()`, `  $TOOL = ${toolFrame} ; ${tool.name}`]
+    },
+    footer: () => ['END'],
+    comment: (text) => `  ; ${text}`,
+    // Axis speeds are set as percentages of the joints' maxSpeed in the rig, so each axis takes the time between
+    // the keys. Axes that don't move keep the speed they had. Without a maxSpeed the percentage can't be worked out,
+    // so the axis is left at full speed, and the move takes less time than between the keys.
+    ptp: (point, duration, speeds, joints) => {
+      const lines = []
+      if (duration) {
+        speeds.forEach((speed, index) => {
+          const { maxSpeed } = joints[index]
+          if (speed < 0.01) return
+          if (!maxSpeed) {
+            lines.push(`  $VEL_AXIS[${index + 1}] = 100 ; no maxSpeed in the rig`)
+            return
+          }
+          const percent = Math.min(100, Math.max(1, Math.ceil((speed / maxSpeed) * 100)))
+          lines.push(`  $VEL_AXIS[${index + 1}] = ${percent}`)
+        })
+      }
+      lines.push(`  PTP {${point.angles.map((angle, index) => `A${index + 1} ${fixed(angle)}`).join(', ')}}`)
+      return lines
+    },
+    lin: (point, speed) => [`  $VEL.CP = ${fixed(speed / 1000)}`, `  LIN ${krlFrame(point.xfo)}`],
+    circ: (aux, point, speed) => {
+      return [`  $VEL.CP = ${fixed(speed / 1000)}`, `  CIRC ${krlFrame(aux.xfo)}, ${krlFrame(point.xfo)}`]
+    },
+    wait: (duration) => [`  WAIT SEC ${fixed(duration / 1000)}`],
+  },
+  rapid: {
+    extension: 'mod',
+    // The poses are those of the tool center point, so the moves use the tool, declared with a nominal load.
+    header: (name, tool) => {
+      const lines = [`MODULE ${name}`]
+      if (!isFlange(tool)) {
+        const { x, y, z } = tool.xfo.tr.scale(1000)
+        const { ori } = tool.xfo
+        const quat = [ori.w, ori.x, ori.y, ori.z].map((value) => fixed(value, 6)).join(',')
+        const frame = `[${fixed(x)},${fixed(y)},${fixed(z)}],[${quat}]`
+        lines.push(`  PERS tooldata ${rapidToolName(tool)} := [TRUE,[${frame}],[1,[0,0,1],[1,0,0,0],0,0,0]];`)
+      }
+      lines.push('  PROC main()')
+      return lines
+    },
+    footer: () => ['  ENDPROC', 'ENDMODULE'],
+    comment: (text) => `    ! ${text}`,
+    ptp: (point, duration, speeds, joints, tool) => {
+      const angles = point.angles.map((angle) => fixed(angle)).join(',')
+      const time = duration ? ` \\T:=${fixed(duration / 1000)}` : ''
+      return [`    MoveAbsJ [[${angles}],[9E9,9E9,9E9,9E9,9E9,9E9]], v1000${time}, fine, ${rapidToolName(tool)};`]
+    },
+    lin: (point, speed, tool) => {
+      return [`    MoveL ${robTarget(point.xfo)}, [${fixed(speed, 1)},500,5000,1000], fine, ${rapidToolName(tool)};`]
+    },
+    circ: (aux, point, speed, tool) => {
+      const targets = `${robTarget(aux.xfo)}, ${robTarget(point.xfo)}`
+      return [`    MoveC ${targets}, [${fixed(speed, 1)},500,5000,1000], fine, ${rapidToolName(tool)};`]
+    },
+    wait: (duration) => [`    WaitTime ${fixed(duration / 1000)};`],
+  },
+}
+
+// Writes a motion program that moves to each key of the track in turn.
+// IK keys become linear moves, with the TCP speed taken from the distance and time between keys.
+// Arcs become circular moves, and splines are approximated by linear moves through points along them.
+// Joint space keys become point to point moves. Keys that don't move the robot become waits.
+// The moves use the active tool, whose center point the poses are given for.
+const exportMotionProgram = (robot, timeParam, track, linear, formatName) => {
+  const format = formats[formatName]
+  const name = robot.rig.name.replace(/\W/g, '_')
+  const tool = robot.tools.getActiveTool()
+  const points = sampleKeys(robot, timeParam, track)
+
+  const lines = [...format.header(name, tool), format.comment(`Generated from ${track.getName()}`)]
+  points.forEach((point, index) => {
+    lines.push(format.comment(`Key ${index + 1} at ${fixed(point.time / 1000, 2)}s`))
+    if (index == 0) {
+      lines.push(...format.ptp(point, 0, [], robot.joints, tool))
+      return
+    }
+    const prevPoint = points[index - 1]
+    const duration = point.time - prevPoint.time
+    // The length of the path, measured through the points solved along it.
+    const pathPoints = [prevPoint, ...point.via, point]
+    const distance =
+      pathPoints.reduce((sum, p, i) => (i == 0 ? 0 : sum + p.xfo.tr.distanceTo(pathPoints[i - 1].xfo.tr)), 0) * 1000
+    const jointDelta = Math.max(...point.angles.map((angle, i) => Math.abs(angle - prevPoint.angles[i])))
+    if (distance < 0.1 && jointDelta < 0.01) {
+      lines.push(...format.wait(duration))
+    } else if (linear && point.path == 'circ') {
+      lines.push(...format.circ(point.via[0], point, distance / (duration / 1000), tool))
+    } else if (linear) {
+      const speed = distance / (duration / 1000)
+      point.via.forEach((via) => lines.push(...format.lin(via, speed, tool)))
+      lines.push(...format.lin(point, speed, tool))
+    } else {
+      const speeds = point.angles.map((angle, i) => Math.abs(angle - prevPoint.angles[i]) / (duration / 1000))
+      lines.push(format.comment(`Max axis speed ${fixed(jointDelta / (duration / 1000), 1)} deg/s`))
+      lines.push(...format.ptp(point, duration, speeds, robot.joints, tool))
+    }
+  })
+  lines.push(...format.footer(), '')
+  return { filename: `${name}.${format.extension}`, text: lines.join('\n') }
+}
+
+export { exportJointTrajectory, exportMotionProgram }
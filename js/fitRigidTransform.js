@@ -0,0 +1,98 @@
+const { Vec3, Quat, Xfo } = window.zeaEngine
+
+// Finds the eigenvector of the largest eigenvalue of a symmetric 4x4 matrix, using Jacobi rotations.
+const largestEigenvector = (matrix) => {
+  const a = matrix.map((row) => row.slice())
+  const v = [0, 1, 2, 3].map((i) => [0, 1, 2, 3].map((j) => (i == j ? 1 : 0)))
+  for (let sweep = 0; sweep < 50; sweep++) {
+    let offDiagonal = 0
+    for (let p = 0; p < 3; p++) for (let q = p + 1; q < 4; q++) offDiagonal += a[p][q] * a[p][q]
+    if (offDiagonal < 1e-20) break
+    for (let p = 0; p < 3; p++) {
+      for (let q = p + 1; q < 4; q++) {
+        if (Math.abs(a[p][q]) < 1e-30) continue
+        const theta = (a[q][q] - a[p][p]) / (2 * a[p][q])
+        const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1))
+        const c = 1 / Math.sqrt(t * t + 1)
+        const s = t * c
+        for (let k = 0; k < 4; k++) {
+          const akp = a[k][p]
+          const akq = a[k][q]
+          a[k][p] = c * akp - s * akq
+          a[k][q] = s * akp + c * akq
+        }
+        for (let k = 0; k < 4; k++) {
+          const apk = a[p][k]
+          const aqk = a[q][k]
+          a[p][k] = c * apk - s * aqk
+          a[q][k] = s * apk + c * aqk
+        }
+        for (let k = 0; k < 4; k++) {
+          const vkp = v[k][p]
+          const vkq = v[k][q]
+          v[k][p] = c * vkp - s * vkq
+          v[k][q] = s * vkp + c * vkq
+        }
+      }
+    }
+  }
+  let largest = 0
+  for (let i = 1; i < 4; i++) if (a[i][i] > a[largest][largest]) largest = i
+  return v.map((row) => row[largest])
+}
+
+const centroid = (points) => {
+  const sum = new Vec3()
+  points.forEach((point) => sum.addInPlace(point))
+  return sum.scale(1 / points.length)
+}
+
+// The distance of the point furthest from the line through the two points furthest apart,
+// which is close to zero when the points are in a line.
+const spread = (points) => {
+  const first = points[0]
+  const a = points.reduce((best, point) => (point.distanceTo(first) > best.distanceTo(first) ? point : best))
+  const b = points.reduce((best, point) => (point.distanceTo(a) > best.distanceTo(a) ? point : best))
+  const axis = b.subtract(a)
+  const length = axis.length()
+  if (length == 0) return 0
+  return Math.max(...points.map((point) => point.subtract(a).cross(axis).length() / length))
+}
+
+// Solves for the rotation and translation that best map the source points onto the target points, in the least
+// squares sense, using Horn's closed form solution with unit quaternions. The points are matched by index.
+// Returns { xfo, rms, residuals }, where the residuals are the distances left between each pair once mapped.
+const fitRigidTransform = (sources, targets, tolerance = 1e-3) => {
+  if (sources.length != targets.length) throw new Error('Each point needs a matching point')
+  if (sources.length < 3) throw new Error('Pick at least three pairs of points')
+  if (spread(sources) < tolerance || spread(targets) < tolerance) {
+    throw new Error('The points are in a line, so the rotation around it is unknown. Pick points further apart')
+  }
+
+  const sourceCenter = centroid(sources)
+  const targetCenter = centroid(targets)
+  // The cross covariance of the centered points, s[i][j] = sum of source[i] * target[j].
+  const s = [0, 1, 2].map(() => [0, 0, 0])
+  sources.forEach((source, index) => {
+    const p = source.subtract(sourceCenter).asArray()
+    const q = targets[index].subtract(targetCenter).asArray()
+    for (let i = 0; i < 3; i++) for (let j = 0; j < 3; j++) s[i][j] += p[i] * q[j]
+  })
+  const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = s
+  const [w, x, y, z] = largestEigenvector([
+    [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+    [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+    [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+    [xy - yx, zx + xz, yz + zy, -xx - yy + zz],
+  ])
+
+  const ori = new Quat(x, y, z, w)
+  ori.normalizeInPlace()
+  const tr = targetCenter.subtract(ori.rotateVec3(sourceCenter))
+  const xfo = new Xfo(tr, ori)
+  const residuals = sources.map((source, index) => xfo.transformVec3(source).distanceTo(targets[index]))
+  const rms = Math.sqrt(residuals.reduce((sum, residual) => sum + residual * residual, 0) / residuals.length)
+  return { xfo, rms, residuals }
+}
+
+export default fitRigidTransform
@@ -1,4 +1,6 @@
-const { MathFunctions, SystemDesc, Vec3, Color, Group, EnvMap, Scene, GLRenderer } = window.zeaEngine
+const { SystemDesc, Xfo, Vec3, Box3, Color, Group, EnvMap, Scene, GLRenderer } = window.zeaEngine
+
+import download from './download.js'
 
 const domElement = document.getElementById('viewport')
 
@@ -33,26 +35,106 @@ if (!SystemDesc.isMobileDevice) {
 
 const urlParams = new URLSearchParams(window.location.search)
 
+// Settings for the site, such as the collaboration server and the scan of the cell.
+const config = await fetch('data/config.json')
+  .then((response) => (response.ok ? response.json() : {}))
+  .catch(() => ({}))
+
+////////////////////////////////////
+// Loading Progress
+// Lists the assets being loaded over the viewport, and why any of them couldn't be loaded.
+import './zea-load-overlay.js'
+const loadOverlay = document.createElement('zea-load-overlay')
+domElement.appendChild(loadOverlay)
+
 ////////////////////////////////////
 // Load the Model
+// The rig describes the robot's kinematics, and can be switched using the 'rig' url parameter.
+// The joints can also be taken from a URDF robot description using the 'urdf' url parameter.
+// The 'model' url parameter loads another zcad file in place of the rig's model, whose parts the rig must match.
+import { loadRig } from './rig.js'
+import { importURDF, exportURDF } from './urdf.js'
+import { exportJointTrajectory, exportMotionProgram } from './exportProgram.js'
 import loadModel from './2.loadModel.js'
-const treeItem = loadModel(appData)
+const loadRobotRig = async () => {
+  let rig = await loadRig(urlParams.get('rig') || 'data/rigs/MC700.json')
+  if (urlParams.has('urdf')) {
+    const url = urlParams.get('urdf')
+    const response = await fetch(url)
+    if (!response.ok) throw new Error(`Unable to load URDF '${url}': ${response.status}`)
+    rig = importURDF(rig, await response.text())
+  }
+  if (urlParams.has('model')) {
+    rig = Object.assign({}, rig, { model: Object.assign({}, rig.model, { url: urlParams.get('model') }) })
+  }
+  return rig
+}
+// The app can't go on without the rig, so it stops once the reason it couldn't be loaded is on screen.
+const rig = await loadOverlay.track('Robot Rig', loadRobotRig())
+const treeItem = loadModel(appData, rig)
 scene.getRoot().addChild(treeItem)
+loadOverlay.track(rig.model.name, appData.modelLoaded)
+
+import './zea-tool-browser.js'
+document.getElementById('tool-browser').tools = appData.robot.tools
 
 ////////////////////////////////////
 // Point Cloud renderer
+// The scan of the cell is set in data/config.json, as its url and the placement that aligns it with the cell.
+// The 'cloud' url parameter loads another scan, given as its cloud.js file or the folder holding it.
 import loadPointCloud from './1.loadPointCloud.js'
+const pointCloudConfig = config.pointCloud || {}
+let pointCloudUrl
+
+// Replaces the point cloud, if there is one.
+const openPointCloud = (url, placement) => {
+  if (appData.pointCloud) {
+    const root = scene.getRoot()
+    root.removeChild(root.getChildIndex(appData.pointCloud))
+  }
+  pointCloudUrl = url
+  appData.pointCloud = loadPointCloud(appData, url, placement)
+  scene.getRoot().addChild(appData.pointCloud)
+  loadOverlay.track(appData.pointCloud.getName(), appData.pointCloudLoaded)
+}
+
 if (!urlParams.has('nopoints') && !SystemDesc.isMobileDevice) {
-  const pointCloud = loadPointCloud(appData)
-  scene.getRoot().addChild(pointCloud)
+  if (urlParams.has('cloud')) {
+    const url = urlParams.get('cloud')
+    openPointCloud(url.endsWith('.js') ? url : `${url.replace(/\/$/, '')}/cloud.js`)
+  } else if (pointCloudConfig.url) {
+    const placement = new Xfo()
+    if (pointCloudConfig.xfo) placement.fromJSON(pointCloudConfig.xfo)
+    openPointCloud(pointCloudConfig.url, placement)
+  }
 }
 
 ////////////////////////////////////
 // Setup Animation
 
 import setupAnimation from './3.setupAnimation.js'
+import './zea-clip-browser.js'
+import './zea-curve-editor.js'
 if (!urlParams.has('noanim')) {
-  setupAnimation(treeItem)
+  appData.animation = setupAnimation(treeItem, appData)
+  document.getElementById('clip-browser').clips = appData.animation.clips
+  const curveEditor = document.getElementById('curve-editor')
+  curveEditor.timeParam = appData.animation.timeParam
+  curveEditor.track = appData.animation.xfoTrack
+  document.getElementById('timecontrols').addEventListener('rangeChanged', () => curveEditor.invalidate())
+}
+
+// The items placed in the cell, which the robot is checked against and whose placement projects save.
+// CAD models added later join them.
+appData.cellItems = appData.animation ? [...appData.animation.cellItems] : []
+
+import './zea-joint-inspector.js'
+const jointInspector = document.getElementById('joint-inspector')
+jointInspector.robot = appData.robot
+jointInspector.renderer = renderer
+if (appData.animation) {
+  jointInspector.timeParam = appData.animation.timeParam
+  jointInspector.addEventListener('poseChanged', (event) => appData.animation.setPose(event.detail.angles))
 }
 
 ////////////////////////////////////
@@ -96,6 +178,96 @@ let selectItemsActivatedTime
 let selectItemsActivated = false
 let currKey
 
+window.exportURDF = () => {
+  download(`${rig.name}.urdf`, exportURDF(appData.robot), 'application/xml')
+}
+
+window.exportJointTrajectory = () => {
+  if (!appData.animation) return
+  const rate = Number(prompt('Sample rate (Hz)', '50'))
+  if (!(rate > 0)) return
+  const csv = exportJointTrajectory(appData.robot, appData.animation.timeParam, rate)
+  download(`${rig.name}.csv`, csv, 'text/csv')
+}
+
+window.exportMotionProgram = (format) => {
+  if (!appData.animation) return
+  const { timeParam, getTrack, getMode } = appData.animation
+  const program = exportMotionProgram(appData.robot, timeParam, getTrack(), getMode() == 'ik', format)
+  download(program.filename, program.text, 'text/plain')
+}
+
+window.setAnimationMode = (mode) => {
+  if (!appData.animation) return
+  appData.animation.setMode(mode)
+  jointInspector.posable = mode == 'joints'
+}
+
+window.keyTarget = () => {
+  if (appData.animation) appData.animation.keyTarget()
+}
+
+window.keyJoints = () => {
+  if (appData.animation) appData.animation.keyJoints()
+}
+
+window.setPath = (type) => {
+  if (!appData.animation) return
+  try {
+    appData.animation.setPath(type)
+  } catch (error) {
+    alert(error.message)
+  }
+}
+
+window.toggleRecording = () => {
+  if (!appData.animation) return
+  if (appData.animation.getMode() != 'ik') {
+    alert('Recording captures the IK target. Switch to the Inverse Kinematics mode first.')
+    return
+  }
+  appData.animation.toggleRecording()
+}
+
+window.setRecordingTolerances = () => {
+  const recording = appData.animation && appData.animation.getRecording()
+  if (!recording) return
+  const { position, angle } = recording.getTolerances()
+  const value = prompt('Position tolerance (m), angle tolerance (degrees)', `${position}, ${angle}`)
+  if (value == null) return
+  const [newPosition, newAngle] = value.split(',').map(Number)
+  if (!(newPosition > 0 && newAngle > 0)) {
+    alert('Both tolerances must be greater than zero.')
+    return
+  }
+  recording.setTolerances({ position: newPosition, angle: newAngle })
+}
+
+// Select the part, then the gripper or fixture it should be attached to.
+window.attachSelected = () => {
+  if (!appData.animation) return
+  const selection = Array.from(appData.selectionManager.getSelection())
+  if (selection.length != 2) {
+    alert('Select the part, then the gripper or fixture to attach it to.')
+    return
+  }
+  try {
+    appData.animation.attachments.attach(selection[0], selection[1])
+  } catch (error) {
+    alert(error.message)
+  }
+}
+
+window.releaseSelected = () => {
+  if (!appData.animation) return
+  appData.selectionManager.getSelection().forEach((part) => appData.animation.attachments.release(part))
+}
+
+window.removeAttachEvent = () => {
+  if (!appData.animation) return
+  appData.selectionManager.getSelection().forEach((part) => appData.animation.attachments.removeEvent(part))
+}
+
 window.frameSelection = () => {
   renderer.frameAll()
 }
@@ -149,6 +321,402 @@ window.setToolModeToSelect = () => {
 
 window.launchVR = () => {}
 
+////////////////////////////////////
+// Point Cloud Registration
+// The point cloud is aligned with the cell by picking pairs of matching points in the cloud and on the model
+// or the floor, then fitting the cloud to them, or by moving it with the transform handles.
+// The placement is saved with the project, and can be exported for data/config.json, to load the scan in place.
+import setupRegistration from './registration.js'
+import './zea-registration-panel.js'
+const registrationPanel = document.getElementById('registration-panel')
+
+const registration = setupRegistration(appData, cameraManipulator)
+registrationPanel.registration = registration
+const updateRegistration = () => {
+  registration.setPointCloud(appData.pointCloud)
+  registrationPanel.style.display = appData.pointCloud ? '' : 'none'
+}
+updateRegistration()
+
+window.pickRegistrationPoints = () => {
+  setToolModeToTransform()
+  try {
+    registration.startPicking()
+  } catch (error) {
+    alert(error.message)
+  }
+}
+
+window.fitPointCloud = () => {
+  try {
+    registration.fit()
+  } catch (error) {
+    alert(error.message)
+  }
+}
+
+window.movePointCloud = () => {
+  if (!appData.pointCloud) return
+  registration.stopPicking()
+  setToolModeToTransform()
+  appData.selectionManager.setSelection(new Set([appData.pointCloud]))
+}
+
+// Downloads the url and the placement of the scan, to replace the pointCloud entry in data/config.json.
+// A scan opened from the disk has no url to save, so it is left for the url it will be served from.
+window.exportPointCloudPlacement = () => {
+  if (!appData.pointCloud) return
+  appData.pointCloudLoaded
+    .then((ownXfo) => {
+      const placement = appData.pointCloud.getParameter('GlobalXfo').getValue().multiply(ownXfo.inverse())
+      const url = isLocalFile(pointCloudUrl) ? '' : pointCloudUrl
+      const json = { pointCloud: { url, xfo: placement.toJSON() } }
+      download('pointCloud.json', JSON.stringify(json, null, 2), 'application/json')
+    })
+    .catch((error) => alert(error.message))
+}
+
+////////////////////////////////////
+// Point Cloud Display
+// The point budget, the size and color of the points, and the clip boxes that cut the scan down to the work cell,
+// hiding the walls and ceiling around the robot. The settings and clip boxes are saved with the project.
+import setupPointCloudDisplay from './pointCloudDisplay.js'
+import './zea-point-cloud-panel.js'
+const pointCloudPanel = document.getElementById('point-cloud-panel')
+
+// The robot's base, and its reach along its links from there.
+const getRobotReach = () => {
+  const { joints } = appData.robot
+  const base = joints[0].restXfo.tr
+  const reach = joints.reduce((sum, joint, index) => {
+    return index == 0 ? sum : sum + joint.restXfo.tr.distanceTo(joints[index - 1].restXfo.tr)
+  }, 0)
+  return { base, reach }
+}
+
+// New clip boxes take in the floor and the robot's reach, plus a margin.
+const getDefaultClipBox = () => {
+  const { base, reach } = getRobotReach()
+  const radius = reach + 0.5
+  const top = base.z + radius
+  const bottom = -0.05
+  const xfo = new Xfo(new Vec3(base.x, base.y, (top + bottom) / 2))
+  return { xfo, size: new Vec3(radius * 2, radius * 2, top - bottom) }
+}
+
+const pointCloudDisplay = setupPointCloudDisplay(appData, { getDefaultClipBox })
+appData.pointCloudDisplay = pointCloudDisplay
+pointCloudPanel.display = pointCloudDisplay
+const updatePointCloudDisplay = () => {
+  pointCloudDisplay.setPointCloud(appData.pointCloud, pointCloudUrl)
+  pointCloudPanel.style.display = appData.pointCloud ? '' : 'none'
+}
+updatePointCloudDisplay()
+
+const moveClipBox = (item) => {
+  registration.stopPicking()
+  setToolModeToTransform()
+  appData.selectionManager.setSelection(new Set([item]))
+}
+pointCloudPanel.addEventListener('moveClipBox', (event) => moveClipBox(event.detail.item))
+
+window.addClipBox = () => {
+  if (appData.pointCloud) moveClipBox(pointCloudDisplay.addClipBox())
+}
+
+////////////////////////////////////
+// Violations
+// Samples the whole timeline, listing the spans where the robot can't follow the animation,
+// and highlights them on the timebar.
+import { analyzeViolations, describeViolation } from './analyzeViolations.js'
+import './zea-violation-report.js'
+const violationReport = document.getElementById('violation-report')
+const timecontrols = document.getElementById('timecontrols')
+
+let violations = []
+let collisions = []
+let motionViolations = []
+
+// The report lists the violations, the collisions and the speed checks found by the last checks.
+const updateReport = () => {
+  violationReport.timeParam = appData.animation.timeParam
+  violationReport.violations = [...violations, ...collisions, ...motionViolations].sort((a, b) => a.start - b.start)
+}
+
+window.checkViolations = () => {
+  if (!appData.animation) return
+  const { timeParam, getMode } = appData.animation
+  violations = analyzeViolations(appData.robot, timeParam, { checkReach: getMode() == 'ik' })
+  updateReport()
+  const bands = violations.map((violation) => {
+    return { start: violation.start, end: violation.end, title: describeViolation(violation) }
+  })
+  timecontrols.setBands('violations', bands)
+}
+
+////////////////////////////////////
+// Motion
+// Measures the joint speeds and accelerations over the timeline, plotting them against the limits in the rig,
+// and reports the cycle time.
+import analyzeMotion from './analyzeMotion.js'
+import './zea-motion-chart.js'
+const motionChart = document.getElementById('motion-chart')
+if (appData.animation) motionChart.timeParam = appData.animation.timeParam
+
+window.checkMotion = () => {
+  if (!appData.animation) return
+  const { timeParam } = appData.animation
+  const motion = analyzeMotion(appData.robot, timeParam)
+  if (!appData.robot.joints.some((joint) => joint.maxSpeed || joint.maxAcceleration)) {
+    alert('No speed or acceleration limits are configured in the rig, so the motion is plotted but not checked.')
+  }
+  motionViolations = motion.violations
+  motionChart.motion = motion
+  updateReport()
+  const bands = motionViolations.map((violation) => {
+    return {
+      start: violation.start,
+      end: violation.end,
+      color: 'rgba(198,76,224,0.4)',
+      title: describeViolation(violation),
+    }
+  })
+  timecontrols.setBands('motion', bands)
+}
+
+////////////////////////////////////
+// Collisions
+// Checks the robot's links against the items placed in the cell, and optionally the points of the point cloud
+// around the robot, which are read directly from the point cloud's octree.
+import { analyzeCollisions, highlightCollisions } from './collisions.js'
+import loadPotreePoints from './potreePoints.js'
+
+let includePointCloud = false
+let pointCloudPoints
+// The points are read in world space, so they are read again once the point cloud is moved or replaced.
+let pointCloudPointsKey
+
+const getObstacles = () => appData.cellItems
+
+// Loads the points within the robot's reach, plus a margin.
+const loadCollisionPoints = async () => {
+  const xfo = appData.pointCloud.getParameter('GlobalXfo').getValue()
+  const key = `${pointCloudUrl} ${xfo.toString()}`
+  if (!pointCloudPoints || key != pointCloudPointsKey) {
+    const { base, reach } = getRobotReach()
+    const radius = reach + 1.0
+    const region = new Box3(base.subtract(new Vec3(radius, radius, radius)), base.add(new Vec3(radius, radius, radius)))
+    pointCloudPoints = await loadPotreePoints(pointCloudUrl, xfo, region)
+    pointCloudPointsKey = key
+  }
+  return pointCloudPoints
+}
+
+window.toggleIncludePointCloud = () => {
+  includePointCloud = !includePointCloud
+}
+
+window.checkCollisions = async () => {
+  if (!appData.animation) return
+  try {
+    const { timeParam, attachments } = appData.animation
+    const { asset } = appData.robot
+    const tip = asset.getChildByName(rig.tip)
+    const points = includePointCloud && appData.pointCloud ? await loadCollisionPoints() : undefined
+    const obstacles = getObstacles()
+    // Parts held by the gripper are expected to touch it.
+    const isIgnored = (jointName, obstacle, time) =>
+      jointName == rig.tip && attachments.getAttachTarget(obstacle, time) == tip
+    collisions = analyzeCollisions(appData.robot, obstacles, timeParam, { points, isIgnored })
+
+    updateReport()
+    const bands = collisions.map((collision) => {
+      return {
+        start: collision.start,
+        end: collision.end,
+        color: 'rgba(242,140,40,0.4)',
+        title: describeViolation(collision),
+      }
+    })
+    timecontrols.setBands('collisions', bands)
+    highlightCollisions(appData.robot, obstacles, collisions, timeParam.getValue())
+  } catch (error) {
+    alert(error.message)
+  }
+}
+
+// The results of the checks only apply to the clip they were run on.
+const clearChecks = () => {
+  violations = []
+  collisions = []
+  motionViolations = []
+  updateReport()
+  motionChart.motion = null
+  timecontrols.setBands('violations', [])
+  timecontrols.setBands('collisions', [])
+  timecontrols.setBands('motion', [])
+  highlightCollisions(appData.robot, getObstacles(), collisions, 0)
+}
+
+if (appData.animation) {
+  appData.animation.clips.on('clipChanged', clearChecks)
+  appData.animation.clips.on('changed', clearChecks)
+  appData.animation.timeParam.on('valueChanged', () => {
+    if (collisions.length > 0) {
+      highlightCollisions(appData.robot, getObstacles(), collisions, appData.animation.timeParam.getValue())
+    }
+  })
+}
+
+////////////////////////////////////
+// Projects
+// Project files save the whole cell: the clips, the tools, where the items and the point cloud are placed,
+// how the point cloud is shown and clipped, the camera and which items are hidden. A project can be opened from
+// the File menu, by dropping it onto the viewport, or using the 'project' url parameter. Files holding just a track,
+// as saved before projects, open too.
+import setupProject from './project.js'
+import TrackPathDisplay from './TrackPathDisplay.js'
+
+const project = setupProject(appData, treeItem, {
+  getItems: () => appData.cellItems,
+  isManaged: (item) => {
+    return item == appData.robot.target || item instanceof TrackPathDisplay || pointCloudDisplay.owns(item)
+  },
+})
+project.on('loaded', ({ missing, otherRig }) => {
+  const notes = []
+  if (otherRig) notes.push(`The project was made for the rig '${otherRig}'.`)
+  if (missing.length > 0) notes.push(`These items aren't in the cell, so they were left out:\n${missing.join('\n')}`)
+  if (notes.length > 0) alert(notes.join('\n\n'))
+})
+
+const openProjectFile = (file) => {
+  project.openFile(file).catch((error) => alert(error.message))
+}
+
+window.openProject = () => {
+  const input = document.createElement('input')
+  input.type = 'file'
+  input.accept = '.json,application/json'
+  input.addEventListener('change', () => {
+    if (input.files.length > 0) openProjectFile(input.files[0])
+  })
+  input.click()
+}
+
+window.saveProject = () => {
+  project.save()
+}
+
+window.saveProjectAs = () => {
+  const name = prompt('Project file name', project.getFilename())
+  if (name) project.saveAs(name)
+}
+
+////////////////////////////////////
+// Opening Assets
+// Point clouds and CAD models are opened from the disk with the File menu, or by dropping them onto the viewport,
+// without needing a server. A point cloud is opened as the folder holding its cloud.js file, and replaces the one
+// loaded. CAD models are added to the cell next to the robot. Dropping a project file opens it.
+import { loadCADAsset, whenLoaded } from './2.loadModel.js'
+import { listInputFiles, listDroppedFiles, mountFiles, isLocalFile } from './localFiles.js'
+
+const isCloudFile = ({ path }) => /(^|\/)cloud\.js$/.test(path)
+const isModelFile = ({ path }) => /\.zcad$/i.test(path)
+
+const openFiles = (files) => {
+  const clouds = files.filter(isCloudFile)
+  const models = files.filter(isModelFile)
+  if (clouds.length == 0 && models.length == 0) {
+    const projectFile = files.find(({ path }) => /\.json$/i.test(path))
+    if (projectFile) openProjectFile(projectFile.file)
+    else alert('Open a project file, a zcad file, or the folder of a Potree point cloud, holding its cloud.js file.')
+    return
+  }
+  if (clouds.length > 1) alert(`Only one point cloud can be open at a time, so only ${clouds[0].path} is opened.`)
+  mountFiles(files)
+    .then((mounted) => {
+      const cloud = mounted.find(isCloudFile)
+      if (cloud) {
+        appData.selectionManager.setSelection(new Set(), false)
+        openPointCloud(cloud.url)
+        updateRegistration()
+        updatePointCloudDisplay()
+      }
+      mounted.filter(isModelFile).forEach(({ path, url }) => {
+        const name = path.replace(/^.*\//, '').replace(/\.zcad$/i, '')
+        const asset = loadCADAsset(name, url)
+        treeItem.addChild(asset)
+        appData.cellItems.push(asset)
+        loadOverlay.track(name, whenLoaded(asset, url))
+      })
+    })
+    .catch((error) => alert(error.message))
+}
+
+const pickFiles = (setup) => {
+  const input = document.createElement('input')
+  input.type = 'file'
+  setup(input)
+  input.addEventListener('change', () => {
+    if (input.files.length > 0) openFiles(listInputFiles(input.files))
+  })
+  input.click()
+}
+
+window.openPointCloudFolder = () => {
+  pickFiles((input) => (input.webkitdirectory = true))
+}
+
+window.addCADModel = () => {
+  pickFiles((input) => {
+    input.accept = '.zcad'
+    input.multiple = true
+  })
+}
+
+domElement.addEventListener('dragover', (event) => event.preventDefault())
+domElement.addEventListener('drop', (event) => {
+  event.preventDefault()
+  listDroppedFiles(event.dataTransfer)
+    .then(openFiles)
+    .catch((error) => alert(error.message))
+})
+
+////////////////////////////////////
+// Autosave
+// Edits are saved to the browser in the background, so they can be restored after the tab is closed.
+import setupAutosave from './autosave.js'
+import './zea-snapshot-browser.js'
+
+const autosaveSources = [
+  { emitter: appData.robot.tools, events: ['changed', 'activeToolChanged'] },
+  { emitter: pointCloudDisplay, events: ['changed'] },
+]
+if (appData.animation) autosaveSources.push({ emitter: appData.animation.clips, events: ['changed'] })
+const autosave = setupAutosave(project, autosaveSources)
+document.getElementById('snapshot-browser').autosave = autosave
+
+// Without a project, the demo track is loaded, and the demo's attach events are keyed.
+// Changes left unsaved by the last session are then offered for restoring.
+if (appData.animation) {
+  appData.robot.asset.on('loaded', () => {
+    if (urlParams.has('nokeys')) {
+      autosave.offerRestore().catch((error) => alert(error.message))
+      return
+    }
+    const projectUrl = urlParams.get('project')
+    project
+      .openUrl(projectUrl || 'data/XfoTrack.json')
+      .then(() => {
+        if (!projectUrl) appData.animation.keyDemoAttachments()
+        return autosave.offerRestore()
+      })
+      .then(() => setTimeout(timecontrols.play, 1500))
+      .catch((error) => alert(error.message))
+  })
+}
+
 ////////////////////////////////////
 // Setup UI Web Components
 
@@ -158,28 +726,64 @@ sceneTreeView.rootItem = scene.getRoot()
 
 // ////////////////////////////////////
 // // Setup Collaboration
-const { Session, SessionSync } = window.zeaCollab
+// The server is set by the 'socket-url' url parameter, or in data/config.json. With the 'offline' url parameter,
+// without a server, or if the server can't be reached, the app works offline.
+import setupRooms from './rooms.js'
+import setupCollaboration from './collaboration.js'
+import './zea-room-dialog.js'
+
+const socketUrl = urlParams.has('offline') ? null : urlParams.get('socket-url') || config.socketUrl
+const rooms = setupRooms(socketUrl)
+const userData = rooms.getUserData()
+
+const roomDialog = document.getElementById('room-dialog')
+roomDialog.rooms = rooms
+
+// Nothing is sent until the user first joins a room.
+// The keys, the playhead and the selected keys are shared by the collaboration module.
+let collaboration
+let sessionSync
+rooms.on('joined', () => {
+  const session = rooms.getSession()
+  if (!sessionSync) {
+    const { SessionSync } = window.zeaCollab
+    sessionSync = new SessionSync(session, appData, userData, {})
+    if (appData.animation) {
+      collaboration = setupCollaboration(session, userData, appData.animation, timecontrols)
+      project.on('loaded', () => collaboration.reset())
+    }
+    userChipSet.session = session
+  }
+  // The keys edited in the room so far are taken from the users already in it.
+  if (collaboration) collaboration.reset()
+  userChip.userData = userData
+})
+
+// A link to a room joins it, once the user has entered their name.
+rooms.ready.then((session) => {
+  const roomId = urlParams.get('room-id')
+  if (!session || !roomId) return
+  if (rooms.hasUserName()) rooms.join(roomId)
+  else roomDialog.open(roomId)
+})
 
-const color = Color.random()
-const firstNames = ['Phil', 'Froilan', 'Alvaro', 'Dan', 'Mike', 'Rob', 'Steve']
-const lastNames = ['Taylor', 'Smith', 'Haines', 'Moore', 'Elías Pájaro Torreglosa', 'Moreno']
-const userData = {
-  given_name: firstNames[MathFunctions.randomInt(0, firstNames.length)],
-  family_name: lastNames[MathFunctions.randomInt(0, lastNames.length)],
-  id: Math.random().toString(36).slice(2, 12),
-  color: color.toHex(),
+window.openRoomDialog = () => {
+  roomDialog.open()
 }
 
-const socketUrl = 'https://websocket-staging.zea.live'
-const session = new Session(userData, socketUrl)
+window.leaveRoom = () => {
+  rooms.leave()
+}
 
-let roomId = urlParams.get('room-id')
-session.joinRoom(document.location.href + roomId)
+window.leadPlayhead = () => {
+  if (collaboration) collaboration.setLeading(true)
+}
 
-const sessionSync = new SessionSync(session, appData, userData, {})
+window.stopLeadingPlayhead = () => {
+  if (collaboration) collaboration.setLeading(false)
+}
 
 const userChipSet = document.getElementById('zea-user-chip-set')
-userChipSet.session = session
 userChipSet.showImages = true //boolean('Show Images', true)
 
 document.addEventListener(
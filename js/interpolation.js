@@ -0,0 +1,88 @@
+// Each key stores how the animation moves on to the next key.
+// step: holds the key's value until the next key.
+// linear: moves at a constant speed.
+// smooth: accelerates out of the key and decelerates into the next one.
+// bezier: eases along a cubic bezier curve, given as [x1, y1, x2, y2] like a CSS cubic-bezier timing function.
+const interpolationModes = ['step', 'linear', 'smooth', 'bezier']
+
+const defaultBezier = [0.42, 0, 0.58, 1]
+
+const cubic = (a, b, t) => 3 * a * t * (1 - t) * (1 - t) + 3 * b * t * t * (1 - t) + t * t * t
+
+// Solves the curve's x for t by bisection, as x increases monotonically for control points within [0, 1].
+const bezierEase = (bezier, x) => {
+  const [x1, y1, x2, y2] = bezier
+  let t0 = 0
+  let t1 = 1
+  let t = x
+  for (let i = 0; i < 30; i++) {
+    t = (t0 + t1) * 0.5
+    if (cubic(x1, x2, t) < x) t0 = t
+    else t1 = t
+  }
+  return cubic(y1, y2, t)
+}
+
+// Maps the fraction of the way between two keys, onto the fraction of the change in value.
+const ease = (interpolation, lerp) => {
+  switch (interpolation.mode) {
+    case 'step':
+      return 0
+    case 'smooth':
+      return lerp * lerp * (3 - 2 * lerp)
+    case 'bezier':
+      return bezierEase(interpolation.bezier || defaultBezier, lerp)
+    default:
+      return lerp
+  }
+}
+
+const checkInterpolation = (interpolation) => {
+  if (!interpolationModes.includes(interpolation.mode))
+    throw new Error(`Unknown interpolation mode '${interpolation.mode}'`)
+  if (interpolation.bezier) {
+    const [x1, y1, x2, y2] = interpolation.bezier
+    if ([x1, y1, x2, y2].some((value) => typeof value != 'number' || isNaN(value)))
+      throw new Error('Bezier eases need 4 numbers')
+    if (x1 < 0 || x1 > 1 || x2 < 0 || x2 > 1) throw new Error('The x values of a bezier ease must be between 0 and 1')
+  }
+}
+
+// Reads the interpolation of a key, which is linear unless set otherwise.
+const getKeyInterpolation = (key) => key.interpolation || { mode: 'linear' }
+
+// Stores the interpolation on the key, leaving linear keys unchanged in the JSON.
+const setKeyInterpolation = (key, interpolation) => {
+  checkInterpolation(interpolation)
+  if (interpolation.mode == 'linear') delete key.interpolation
+  else key.interpolation = Object.assign({}, interpolation)
+}
+
+// Like findKeyAndLerp, but with the lerp eased by the interpolation of the key.
+const findKeyAndEase = (track, time) => {
+  const { keyIndex, lerp } = track.findKeyAndLerp(time)
+  if (keyIndex == -1 || lerp == 0) return { keyIndex, lerp }
+  return { keyIndex, lerp: ease(getKeyInterpolation(track.keys[keyIndex]), lerp) }
+}
+
+// Copies the interpolation between keys and their JSON, returning the destination.
+const copyInterpolation = (source, destination) => {
+  if (source.interpolation) destination.interpolation = Object.assign({}, source.interpolation)
+  return destination
+}
+
+const describeInterpolation = (interpolation) => {
+  if (interpolation.mode != 'bezier') return interpolation.mode
+  return `bezier(${(interpolation.bezier || defaultBezier).join(', ')})`
+}
+
+export {
+  interpolationModes,
+  defaultBezier,
+  ease,
+  getKeyInterpolation,
+  setKeyInterpolation,
+  findKeyAndEase,
+  copyInterpolation,
+  describeInterpolation,
+}
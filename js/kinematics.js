@@ -0,0 +1,65 @@
+const { Quat, Vec3, MathFunctions } = window.zeaEngine
+
+// Forward kinematics for the serial chain of joints built from the rig.
+// Joint angles are in degrees, measured from the rest pose about each joint's local axis.
+
+const AXES = [new Vec3(1, 0, 0), new Vec3(0, 1, 0), new Vec3(0, 0, 1)]
+const QUAT_COMPONENTS = ['x', 'y', 'z']
+
+// The pose of each joint relative to the previous joint in the chain, at rest.
+const restLocalXfo = (joints, index) => {
+  const joint = joints[index]
+  return index == 0 ? joint.restXfo : joints[index - 1].restXfo.inverse().multiply(joint.restXfo)
+}
+
+const computeJointXfos = (joints, angles) => {
+  const xfos = []
+  joints.forEach((joint, index) => {
+    const rotation = new Quat()
+    rotation.setFromAxisAndAngle(AXES[joint.axis], MathFunctions.degToRad(angles[index]))
+    const localXfo = restLocalXfo(joints, index).clone()
+    localXfo.ori = localXfo.ori.multiply(rotation)
+    xfos.push(index == 0 ? localXfo : xfos[index - 1].multiply(localXfo))
+  })
+  return xfos
+}
+
+const computeJointAngles = (joints, xfos) => {
+  return joints.map((joint, index) => {
+    const localXfo = index == 0 ? xfos[0] : xfos[index - 1].inverse().multiply(xfos[index])
+    const delta = restLocalXfo(joints, index).ori.inverse().multiply(localXfo.ori)
+    const angle = MathFunctions.radToDeg(2 * Math.atan2(delta[QUAT_COMPONENTS[joint.axis]], delta.w))
+    // Keep the angle in the range [-180, 180]
+    return ((((angle + 180) % 360) + 360) % 360) - 180
+  })
+}
+
+// Converts an orientation to fixed axis roll, pitch and yaw angles in radians.
+// These are the URDF rpy angles, and the C, B and A angles used by robot controllers.
+const quatToRPY = (quat) => {
+  const { x, y, z, w } = quat
+  const roll = Math.atan2(2 * (w * x + y * z), 1 - 2 * (x * x + y * y))
+  const pitch = Math.asin(MathFunctions.clamp(2 * (w * y - z * x), -1, 1))
+  const yaw = Math.atan2(2 * (w * z + x * y), 1 - 2 * (y * y + z * z))
+  return [roll, pitch, yaw]
+}
+
+// The inverse of quatToRPY.
+const rpyToQuat = (rpy) => {
+  const quats = rpy.map((angle, index) => {
+    const quat = new Quat()
+    quat.setFromAxisAndAngle(AXES[index], angle)
+    return quat
+  })
+  return quats[2].multiply(quats[1]).multiply(quats[0])
+}
+
+// Returns the current angle of each joint of the robot.
+const getJointAngles = (joints) => {
+  return computeJointAngles(
+    joints,
+    joints.map((joint) => joint.group.getParameter('GlobalXfo').getValue())
+  )
+}
+
+export { computeJointXfos, computeJointAngles, getJointAngles, quatToRPY, rpyToQuat }
@@ -0,0 +1,105 @@
+// Opens files from the disk, picked in a file dialog or dropped onto the page, by giving them urls of their own,
+// served by the localFilesWorker.js service worker. Folders keep their layout, so the files an asset refers to by
+// relative paths, such as the octree of a Potree point cloud, load too, without a server or a public bucket.
+
+// The files of each mount, by their path within it.
+const mounts = new Map()
+let ready = null
+
+const onMessage = (event) => {
+  const { type, mount, path } = event.data || {}
+  if (type != 'getLocalFile') return
+  const files = mounts.get(mount)
+  event.ports[0].postMessage((files && files.get(path)) || null)
+}
+
+// Resolves once the service worker handles the page's requests. The first time, it takes over the page
+// once it has installed, but a hard reload bypasses it until the page is reloaded again.
+const register = () => {
+  if (!window.isSecureContext || !('serviceWorker' in navigator)) {
+    return Promise.reject(
+      new Error('Local files can only be opened when the app is served over https or from localhost')
+    )
+  }
+  const { serviceWorker } = navigator
+  serviceWorker.addEventListener('message', onMessage)
+  serviceWorker.startMessages()
+  return serviceWorker.register(new URL('../localFilesWorker.js', import.meta.url)).then(() => {
+    if (serviceWorker.controller) return
+    return new Promise((resolve, reject) => {
+      const timeoutId = setTimeout(() => reject(new Error('Reload the page to open local files')), 10000)
+      serviceWorker.addEventListener(
+        'controllerchange',
+        () => {
+          clearTimeout(timeoutId)
+          resolve()
+        },
+        { once: true }
+      )
+    })
+  })
+}
+
+const getReady = () => {
+  if (!ready) {
+    ready = register().catch((error) => {
+      ready = null
+      throw error
+    })
+  }
+  return ready
+}
+
+// Lists the files of a file input, with their paths within the folder picked, if any.
+const listInputFiles = (fileList) => {
+  return Array.from(fileList).map((file) => ({ path: file.webkitRelativePath || file.name, file }))
+}
+
+// Lists the files dropped onto the page, going into the folders dropped.
+// The entries have to be taken from the event straight away, before the event is over.
+const listDroppedFiles = (dataTransfer) => {
+  const entries = Array.from(dataTransfer.items)
+    .map((item) => (item.webkitGetAsEntry ? item.webkitGetAsEntry() : null))
+    .filter((entry) => entry)
+  if (entries.length == 0) return Promise.resolve(listInputFiles(dataTransfer.files))
+
+  const readEntry = (entry) => {
+    if (entry.isFile) {
+      return new Promise((resolve, reject) => entry.file(resolve, reject)).then((file) => {
+        return [{ path: entry.fullPath.replace(/^\//, ''), file }]
+      })
+    }
+    // Directories are read in batches, until a batch comes back empty.
+    const reader = entry.createReader()
+    const children = []
+    const readBatch = () => {
+      return new Promise((resolve, reject) => reader.readEntries(resolve, reject)).then((batch) => {
+        if (batch.length == 0) return
+        children.push(...batch)
+        return readBatch()
+      })
+    }
+    return readBatch()
+      .then(() => Promise.all(children.map(readEntry)))
+      .then((lists) => lists.flat())
+  }
+  return Promise.all(entries.map(readEntry)).then((lists) => lists.flat())
+}
+
+// Gives each file a url, resolving to the files, each with its url added.
+const mountFiles = (files) => {
+  return getReady().then(() => {
+    const mount = Math.random().toString(36).slice(2, 10)
+    mounts.set(mount, new Map(files.map(({ path, file }) => [path, file])))
+    const base = new URL(`../local-files/${mount}/`, import.meta.url).href
+    return files.map((entry) => {
+      const url = base + entry.path.split('/').map(encodeURIComponent).join('/')
+      return Object.assign({}, entry, { url })
+    })
+  })
+}
+
+// Whether the url is one given to a file opened from the disk, which only lasts as long as the page.
+const isLocalFile = (url) => url.startsWith(new URL('../local-files/', import.meta.url).href)
+
+export { listInputFiles, listDroppedFiles, mountFiles, isLocalFile }
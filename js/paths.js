@@ -0,0 +1,99 @@
+const { Vec3 } = window.zeaEngine
+
+// Each key of the target's track stores the path the tool follows to the next key.
+// lin: a straight line.
+// circ: a circular arc through a via point, given in world space.
+// spline: a Catmull-Rom spline through the neighbouring keys, for smooth paths through many keys.
+const pathTypes = ['lin', 'circ', 'spline']
+
+// Reads the path of a key, which is a straight line unless set otherwise.
+const getKeyPath = (key) => key.path || { type: 'lin' }
+
+// The center and basis of the circle through the 3 points, or null if they are in a line.
+const circleThrough = (a, b, c) => {
+  const ab = b.subtract(a)
+  const ac = c.subtract(a)
+  const normal = ab.cross(ac)
+  const lengthSquared = normal.lengthSquared()
+  if (lengthSquared < 1e-12) return null
+  const offset = ac
+    .cross(normal)
+    .scale(ab.lengthSquared())
+    .add(normal.cross(ab).scale(ac.lengthSquared()))
+    .scale(1 / (2 * lengthSquared))
+  const center = a.add(offset)
+  const radius = offset.length()
+  const xAxis = a.subtract(center).normalize()
+  const yAxis = normal.normalize().cross(xAxis)
+  return { center, radius, xAxis, yAxis }
+}
+
+const checkPath = (path) => {
+  if (!pathTypes.includes(path.type)) throw new Error(`Unknown path type '${path.type}'`)
+  if (path.type == 'circ' && !(path.via instanceof Vec3)) throw new Error('Circular paths need a via point')
+}
+
+// Stores the path on the key, leaving straight lines unchanged in the JSON.
+const setKeyPath = (key, path) => {
+  checkPath(path)
+  if (path.type == 'lin') delete key.path
+  else key.path = path.via ? { type: path.type, via: path.via.clone() } : { type: path.type }
+}
+
+const catmullRom = (p0, p1, p2, p3, t) => {
+  const t2 = t * t
+  const t3 = t2 * t
+  return p1
+    .scale(2)
+    .add(p2.subtract(p0).scale(t))
+    .add(p0.scale(2).subtract(p1.scale(5)).add(p2.scale(4)).subtract(p3).scale(t2))
+    .add(p1.scale(3).subtract(p0).subtract(p2.scale(3)).add(p3).scale(t3))
+    .scale(0.5)
+}
+
+// The position along the path from the key to the next one, at the given fraction of the way.
+const evaluatePath = (keys, keyIndex, lerp) => {
+  const key = keys[keyIndex]
+  const tr0 = key.value.tr
+  const tr1 = keys[keyIndex + 1].value.tr
+  const path = getKeyPath(key)
+  switch (path.type) {
+    case 'circ': {
+      const circle = circleThrough(tr0, path.via, tr1)
+      // An arc through points in a line is a straight line.
+      if (!circle) break
+      const { center, radius, xAxis, yAxis } = circle
+      // The end key's angle around the circle, which passes the via point on the way.
+      const offset = tr1.subtract(center)
+      let sweep = Math.atan2(offset.dot(yAxis), offset.dot(xAxis))
+      if (sweep < 0) sweep += Math.PI * 2
+      const angle = sweep * lerp
+      return center.add(xAxis.scale(Math.cos(angle) * radius)).add(yAxis.scale(Math.sin(angle) * radius))
+    }
+    case 'spline': {
+      const prev = keyIndex > 0 ? keys[keyIndex - 1].value.tr : tr0
+      const next = keyIndex + 2 < keys.length ? keys[keyIndex + 2].value.tr : tr1
+      return catmullRom(prev, tr0, tr1, next, lerp)
+    }
+  }
+  return tr0.lerp(tr1, lerp)
+}
+
+// Copies the path between keys and their JSON, returning the destination.
+const pathToJSON = (key, keyJson) => {
+  if (key.path)
+    keyJson.path = key.path.via ? { type: key.path.type, via: key.path.via.toJSON() } : Object.assign({}, key.path)
+  return keyJson
+}
+
+const pathFromJSON = (keyJson, key) => {
+  if (keyJson.path) {
+    const { type, via } = keyJson.path
+    key.path = via ? { type, via: new Vec3(via) } : { type }
+  }
+  return key
+}
+
+const describePath = (path) => path.type.toUpperCase()
+
+export { pathTypes, getKeyPath, setKeyPath, circleThrough, evaluatePath, pathToJSON, pathFromJSON, describePath }
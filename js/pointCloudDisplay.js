@@ -0,0 +1,407 @@
+const { EventEmitter, Vec3, Xfo, Box3, Color, TreeItem, GeomItem, Points, LinesCuboid, Material } = window.zeaEngine
+import { loadPotreeSample, sampleBudget } from './potreePoints.js'
+
+const colorModes = ['rgb', 'intensity', 'elevation']
+const defaults = { budget: sampleBudget, size: 0.5, attenuation: 0.5, colorMode: 'rgb' }
+const labels = { budget: 'point budget', size: 'point size', attenuation: 'point size attenuation' }
+
+// The points the app draws itself are dots of a fixed number of pixels, for each unit of point size.
+const pixelsPerSize = 4
+// Those points are grouped by color, into this many levels of each RGB channel, or steps along a color ramp.
+const rgbLevels = 6
+const rampSteps = 32
+const ramps = {
+  intensity: [new Color(0.1, 0.1, 0.1), new Color(1, 1, 1)],
+  elevation: [new Color(0, 0, 1), new Color(0, 1, 1), new Color(0, 1, 0), new Color(1, 1, 0), new Color(1, 0, 0)],
+}
+// Moving a clip box with the handles crops the cloud again once it has stopped for this long, in ms.
+const cropDelay = 300
+
+const rampColor = (ramp, t) => {
+  const x = t * (ramp.length - 1)
+  const index = Math.min(Math.floor(x), ramp.length - 2)
+  return ramp[index].lerp(ramp[index + 1], x - index)
+}
+
+// Returns a function giving the step of a value along the range of the values, from 0 to rampSteps - 1.
+const getRampStep = (values) => {
+  let min = Infinity
+  let max = -Infinity
+  values.forEach((value) => {
+    min = Math.min(min, value)
+    max = Math.max(max, value)
+  })
+  const range = max - min || 1
+  return (value) => Math.min(rampSteps - 1, Math.floor(((value - min) / range) * rampSteps))
+}
+
+// Sets how the point cloud is shown: the size of the points and how much they shrink with distance, their colors,
+// from the scan's RGB, its intensities or the elevation, and the clip boxes, which hide the points outside them,
+// so the scan can be cut down to the work cell.
+// The point cloud renderer draws the whole cloud in RGB, choosing its own points. When the cloud is clipped
+// or colored otherwise, the renderer is paused and the app draws the cloud itself, as fixed size dots,
+// from an even sample of up to the point budget's points around the clip boxes, read from the octree.
+// The status lists the settings that are ignored as a result, in its 'ignored'.
+// Clip boxes are placed in world space, with the transform handles, and a hidden clip box doesn't clip.
+// New clip boxes are placed as getDefaultClipBox returns, as { xfo, size }.
+// Emits 'changed' when a setting or a clip box changes, and 'statusChanged' when cropping starts or finishes.
+const setupPointCloudDisplay = (appData, { getDefaultClipBox }) => {
+  const emitter = new EventEmitter()
+  const settings = Object.assign({}, defaults)
+  let pointCloud = null
+  let pointCloudUrl = null
+  let pointCloudLoaded = null
+  let cropGroup = null
+  let status = { loading: false, count: 0, error: null }
+  // The last sample read, which is kept while only the clip boxes within it or the colors change.
+  let sample = null
+
+  const clipBoxes = new TreeItem('ClipBoxes')
+  appData.scene.getRoot().addChild(clipBoxes, false)
+  const boxMaterial = new Material('ClipBoxMaterial', 'LinesShader')
+  boxMaterial.getParameter('BaseColor').setValue(new Color(0.2, 0.8, 0.3))
+  let boxCount = 0
+  // Detaches the listeners of each clip box.
+  const boxListeners = new Map()
+
+  const getClipBoxes = () => clipBoxes.getChildren()
+  const isEnabled = (item) => item.getParameter('Visible').getValue()
+  const getClipBoxSize = (item) => {
+    const geom = item.getParameter('Geometry').getValue()
+    return new Vec3(
+      geom.getParameter('X').getValue(),
+      geom.getParameter('Y').getValue(),
+      geom.getParameter('Z').getValue()
+    )
+  }
+  const isCropped = () => settings.colorMode != 'rgb' || getClipBoxes().some(isEnabled)
+
+  let cropTimeout = null
+  let generation = 0
+
+  // The part of the cloud around the enabled clip boxes, in the cloud's own space, or null for the whole cloud.
+  const getRegion = () => {
+    const boxes = getClipBoxes().filter(isEnabled)
+    if (boxes.length == 0) return null
+    const toCloud = pointCloud.getParameter('GlobalXfo').getValue().inverse()
+    const region = new Box3()
+    boxes.forEach((item) => {
+      const xfo = toCloud.multiply(item.getParameter('GlobalXfo').getValue())
+      const half = getClipBoxSize(item).scale(0.5)
+      for (let i = 0; i < 8; i++) {
+        const corner = new Vec3(
+          i & 0b100 ? half.x : -half.x,
+          i & 0b010 ? half.y : -half.y,
+          i & 0b001 ? half.z : -half.z
+        )
+        region.addPoint(xfo.transformVec3(corner))
+      }
+    })
+    return region
+  }
+
+  // Whether the outer region holds the inner one, where no region is the whole cloud.
+  const covers = (outer, inner) => {
+    if (!outer) return true
+    if (!inner) return false
+    return (
+      outer.p0.x <= inner.p0.x &&
+      outer.p0.y <= inner.p0.y &&
+      outer.p0.z <= inner.p0.z &&
+      outer.p1.x >= inner.p1.x &&
+      outer.p1.y >= inner.p1.y &&
+      outer.p1.z >= inner.p1.z
+    )
+  }
+
+  // Reads the points again only if the region goes beyond the sample, or the budget changed.
+  const loadSample = (region) => {
+    const url = pointCloudUrl
+    const { budget } = settings
+    if (sample && sample.url == url && sample.budget == budget && covers(sample.region, region)) {
+      return Promise.resolve(sample)
+    }
+    return loadPotreeSample(url, region, budget).then((points) => Object.assign(points, { url, budget, region }))
+  }
+
+  // Sorts the points inside the enabled clip boxes by color, into lists of their positions in the cloud's space.
+  const groupPoints = (points) => {
+    const cloudXfo = pointCloud.getParameter('GlobalXfo').getValue()
+    const boxes = getClipBoxes()
+      .filter(isEnabled)
+      .map((item) => ({
+        toBox: item.getParameter('GlobalXfo').getValue().inverse(),
+        half: getClipBoxSize(item).scale(0.5),
+      }))
+    const isInside = (p) => {
+      return boxes.some(({ toBox, half }) => {
+        const local = toBox.transformVec3(p)
+        return Math.abs(local.x) <= half.x && Math.abs(local.y) <= half.y && Math.abs(local.z) <= half.z
+      })
+    }
+
+    const kept = []
+    const heights = []
+    const { positions } = points
+    for (let i = 0; i < points.count; i++) {
+      const p = cloudXfo.transformVec3(new Vec3(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2]))
+      if (boxes.length > 0 && !isInside(p)) continue
+      kept.push(i)
+      heights.push(p.z)
+    }
+
+    // Each point gets a key, shared by the points drawn in the same color.
+    let keys
+    let getColor
+    if (settings.colorMode == 'rgb') {
+      const { colors } = points
+      const level = (value) => Math.min(rgbLevels - 1, Math.floor((value / 256) * rgbLevels))
+      const getKey = (i) =>
+        (level(colors[i * 3]) * rgbLevels + level(colors[i * 3 + 1])) * rgbLevels + level(colors[i * 3 + 2])
+      keys = kept.map((i) => (colors ? getKey(i) : 0))
+      getColor = (key) => {
+        if (!colors) return new Color(0.6, 0.6, 0.6)
+        const channel = (value) => (value + 0.5) / rgbLevels
+        return new Color(
+          channel(Math.floor(key / (rgbLevels * rgbLevels))),
+          channel(Math.floor(key / rgbLevels) % rgbLevels),
+          channel(key % rgbLevels)
+        )
+      }
+    } else {
+      let values
+      if (settings.colorMode == 'intensity') {
+        if (!points.intensities) throw new Error('The point cloud has no intensities')
+        values = kept.map((i) => points.intensities[i])
+      } else {
+        values = heights
+      }
+      keys = values.map(getRampStep(values))
+      getColor = (key) => rampColor(ramps[settings.colorMode], (key + 0.5) / rampSteps)
+    }
+
+    const groups = new Map()
+    kept.forEach((i, index) => {
+      const key = keys[index]
+      if (!groups.has(key)) groups.set(key, { color: getColor(key), positions: [] })
+      groups.get(key).positions.push(positions[i * 3], positions[i * 3 + 1], positions[i * 3 + 2])
+    })
+    return { groups, count: kept.length }
+  }
+
+  const drawPoints = (groups) => {
+    cropGroup.removeAllChildren()
+    const pointSize = Math.max(1, Math.round(settings.size * pixelsPerSize))
+    Array.from(groups.values()).forEach(({ color, positions }, index) => {
+      const geom = new Points()
+      geom.setNumVertices(positions.length / 3)
+      geom.getVertexAttribute('positions').data.set(positions)
+      geom.setBoundingBoxDirty()
+      const material = new Material(`CroppedPoints${index}Material`, 'PointsShader')
+      material.getParameter('BaseColor').setValue(color)
+      material.getParameter('PointSize').setValue(pointSize)
+      cropGroup.addChild(new GeomItem(`CroppedPoints${index}`, geom, material), false)
+    })
+  }
+
+  const crop = () => {
+    const current = ++generation
+    pointCloudLoaded
+      .then(() => loadSample(getRegion()))
+      .then((points) => {
+        if (current != generation) return
+        sample = points
+        const { groups, count } = groupPoints(points)
+        drawPoints(groups)
+        status = { loading: false, count, error: null }
+        emitter.emit('statusChanged')
+      })
+      .catch((error) => {
+        if (current != generation) return
+        cropGroup.removeAllChildren()
+        status = { loading: false, count: 0, error: (error && error.message) || String(error) }
+        emitter.emit('statusChanged')
+      })
+  }
+
+  // Waits for the clip boxes or the cloud to stop moving, dropping any crop under way.
+  const scheduleCrop = (delay = cropDelay) => {
+    if (!pointCloud || !isCropped()) return
+    clearTimeout(cropTimeout)
+    generation++
+    if (!status.loading) {
+      status = { loading: true, count: status.count, error: null }
+      emitter.emit('statusChanged')
+    }
+    cropTimeout = setTimeout(crop, delay)
+  }
+
+  const apply = () => {
+    if (pointCloud) {
+      pointCloud.getParameter('Point Size').setValue(settings.size)
+      pointCloud.getParameter('Point Size Attenuation').setValue(settings.attenuation)
+      appData.pointCloudPass.getParameter('Enabled').setValue(!isCropped())
+      if (isCropped()) {
+        scheduleCrop(0)
+      } else {
+        clearTimeout(cropTimeout)
+        generation++
+        cropGroup.removeAllChildren()
+        status = { loading: false, count: 0, error: null }
+      }
+    }
+    emitter.emit('changed')
+  }
+
+  const onCloudMoved = () => scheduleCrop()
+
+  // Applies the settings to a newly opened point cloud, which is given with its url, so its octree can be read.
+  const setPointCloud = (cloud, url) => {
+    if (pointCloud) pointCloud.getParameter('GlobalXfo').off('valueChanged', onCloudMoved)
+    pointCloud = cloud
+    pointCloudUrl = url
+    pointCloudLoaded = appData.pointCloudLoaded
+    sample = null
+    cropGroup = null
+    if (pointCloud) {
+      cropGroup = new TreeItem('CroppedPoints')
+      pointCloud.addChild(cropGroup, false)
+      pointCloud.getParameter('GlobalXfo').on('valueChanged', onCloudMoved)
+    }
+    apply()
+  }
+
+  const getSettings = () => Object.assign({}, settings)
+
+  const set = (name, value) => {
+    if (!(name in defaults)) throw new Error(`Unknown point cloud setting '${name}'`)
+    if (name == 'colorMode') {
+      if (!colorModes.includes(value)) throw new Error(`Unknown color mode '${value}'`)
+    } else if (!(value >= 0)) {
+      throw new Error(`The ${labels[name]} can't be ${value}`)
+    }
+    if (name == 'budget') value = Math.max(1, Math.round(value))
+    if (settings[name] == value) return
+    settings[name] = value
+    apply()
+  }
+
+  // The settings that have no effect at the moment, with the reason for each.
+  const getIgnored = () => {
+    const ignored = {}
+    if (!pointCloud) return ignored
+    if (isCropped()) {
+      ignored.attenuation =
+        'The clipped or colored cloud is drawn as dots of a fixed size, so the size attenuation is ignored.'
+    } else {
+      ignored.budget =
+        'The renderer chooses its own points, so the point budget only applies once the cloud is clipped or colored.'
+    }
+    return ignored
+  }
+
+  const getStatus = () => Object.assign({}, status, { cropped: !!pointCloud && isCropped(), ignored: getIgnored() })
+
+  const onBoxChanged = () => scheduleCrop()
+
+  const addClipBox = (xfo, size, name = `ClipBox${++boxCount}`) => {
+    if (!xfo) {
+      const box = getDefaultClipBox()
+      xfo = box.xfo
+      size = box.size
+    }
+    const geom = new LinesCuboid(size.x, size.y, size.z)
+    const item = new GeomItem(name, geom, boxMaterial)
+    item.getParameter('LocalXfo').setValue(xfo)
+    clipBoxes.addChild(item, false)
+
+    const params = [
+      item.getParameter('GlobalXfo'),
+      geom.getParameter('X'),
+      geom.getParameter('Y'),
+      geom.getParameter('Z'),
+    ]
+    const visibleParam = item.getParameter('Visible')
+    params.forEach((param) => param.on('valueChanged', onBoxChanged))
+    visibleParam.on('valueChanged', apply)
+    boxListeners.set(item, () => {
+      params.forEach((param) => param.off('valueChanged', onBoxChanged))
+      visibleParam.off('valueChanged', apply)
+    })
+    apply()
+    return item
+  }
+
+  const removeClipBox = (item) => {
+    boxListeners.get(item)()
+    boxListeners.delete(item)
+    clipBoxes.removeChild(clipBoxes.getChildIndex(item))
+    apply()
+  }
+
+  const setClipBoxSize = (item, size) => {
+    if (!(size.x > 0 && size.y > 0 && size.z > 0)) throw new Error('The clip box must be larger than zero')
+    const geom = item.getParameter('Geometry').getValue()
+    geom.getParameter('X').setValue(size.x)
+    geom.getParameter('Y').setValue(size.y)
+    geom.getParameter('Z').setValue(size.z)
+    emitter.emit('changed')
+  }
+
+  const setClipBoxEnabled = (item, enabled) => item.getParameter('Visible').setValue(enabled)
+
+  // Whether the item is drawn by the display rather than the scene, so it isn't saved with the scene.
+  const owns = (item) => item == clipBoxes || (cropGroup && item == cropGroup)
+
+  const toJSON = () => {
+    return Object.assign(getSettings(), {
+      clipBoxes: getClipBoxes().map((item) => ({
+        name: item.getName(),
+        xfo: item.getParameter('LocalXfo').getValue().toJSON(),
+        size: getClipBoxSize(item).toJSON(),
+        enabled: isEnabled(item),
+      })),
+    })
+  }
+
+  // Anything missing is left as it is, apart from the clip boxes, which are replaced.
+  const fromJSON = (j) => {
+    Object.keys(defaults).forEach((name) => {
+      if (name in j) settings[name] = j[name]
+    })
+    getClipBoxes().slice().forEach(removeClipBox)
+    const boxesJson = j.clipBoxes || []
+    boxesJson.forEach((boxJson) => {
+      const xfo = new Xfo()
+      xfo.fromJSON(boxJson.xfo)
+      const size = new Vec3()
+      size.fromJSON(boxJson.size)
+      const item = addClipBox(xfo, size, boxJson.name)
+      if (boxJson.enabled === false) setClipBoxEnabled(item, false)
+    })
+    boxCount = boxesJson.length
+    apply()
+  }
+
+  const on = (eventName, listener) => emitter.on(eventName, listener)
+
+  return {
+    on,
+    setPointCloud,
+    getSettings,
+    set,
+    getStatus,
+    getClipBoxes,
+    getClipBoxSize,
+    addClipBox,
+    removeClipBox,
+    setClipBoxSize,
+    setClipBoxEnabled,
+    owns,
+    toJSON,
+    fromJSON,
+  }
+}
+
+export { colorModes }
+export default setupPointCloudDisplay
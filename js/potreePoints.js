@@ -0,0 +1,188 @@
+const { Vec3, Box3 } = window.zeaEngine
+
+// Reads points directly from a Potree 1.x point cloud (a cloud.js file and its octree of .bin files),
+// so they can be tested against the scene on the CPU, or drawn by the app when the cloud is cropped.
+
+const attributeSizes = {
+  POSITION_CARTESIAN: 12,
+  COLOR_PACKED: 4,
+  RGBA_PACKED: 4,
+  INTENSITY: 2,
+  CLASSIFICATION: 1,
+  RETURN_NUMBER: 1,
+  NUMBER_OF_RETURNS: 1,
+  SOURCE_ID: 2,
+  GPS_TIME: 8,
+  NORMAL_SPHEREMAPPED: 2,
+  NORMAL_OCT16: 2,
+  NORMAL: 12,
+  SPACING: 4,
+  INDICES: 4,
+}
+
+// Octree nodes are stored in folders of hierarchyStepSize levels.
+const hierarchyPath = (name, hierarchyStepSize) => {
+  const indices = name.substr(1)
+  const parts = ['r']
+  for (let i = 0; i < Math.floor(indices.length / hierarchyStepSize); i++) {
+    parts.push(indices.substr(i * hierarchyStepSize, hierarchyStepSize))
+  }
+  return parts.join('/')
+}
+
+const childBox = (box, index) => {
+  const p0 = box.p0.clone()
+  const p1 = box.p1.clone()
+  const half = box.size().scale(0.5)
+  if (index & 0b100) p0.x += half.x
+  else p1.x -= half.x
+  if (index & 0b010) p0.y += half.y
+  else p1.y -= half.y
+  if (index & 0b001) p0.z += half.z
+  else p1.z -= half.z
+  return new Box3(p0, p1)
+}
+
+const transformBox = (box, xfo) => {
+  const result = new Box3()
+  for (let i = 0; i < 8; i++) {
+    const corner = new Vec3(
+      i & 0b100 ? box.p1.x : box.p0.x,
+      i & 0b010 ? box.p1.y : box.p0.y,
+      i & 0b001 ? box.p1.z : box.p0.z
+    )
+    result.addPoint(xfo.transformVec3(corner))
+  }
+  return result
+}
+
+// Works out where each attribute lies within the points of the octree files.
+const getLayout = (cloud) => {
+  if (!Array.isArray(cloud.pointAttributes)) throw new Error(`Unsupported point cloud format: ${cloud.pointAttributes}`)
+  const offsets = {}
+  let stride = 0
+  for (const name of cloud.pointAttributes) {
+    if (!(name in attributeSizes)) throw new Error(`Unsupported point attribute: ${name}`)
+    offsets[name] = stride
+    stride += attributeSizes[name]
+  }
+  return { stride, offsets, scale: cloud.scale, floatPositions: parseFloat(cloud.version) < 1.4 }
+}
+
+// Positions are stored relative to the node's box from version 1.4 on.
+const readPosition = (layout, view, offset, box) => {
+  offset += layout.offsets.POSITION_CARTESIAN
+  if (layout.floatPositions) {
+    return new Vec3(view.getFloat32(offset, true), view.getFloat32(offset + 4, true), view.getFloat32(offset + 8, true))
+  }
+  return new Vec3(
+    view.getUint32(offset, true) * layout.scale + box.p0.x,
+    view.getUint32(offset + 4, true) * layout.scale + box.p0.y,
+    view.getUint32(offset + 8, true) * layout.scale + box.p0.z
+  )
+}
+
+// Reads the octree one level at a time, from the top, calling visit with the layout, the data of a node, the offset
+// of a point in it and the node's box, for each point of the nodes that intersect the region, given in the cloud's
+// own space, or of all the nodes without a region.
+// Stops below maxDepth, or at the level that takes the number of points read past the budget, of which only an even
+// sample is read, so the points stay spread over the whole region.
+const visitPoints = (url, region, { maxDepth = Infinity, budget = Infinity }, visit) => {
+  const baseUrl = url.substring(0, url.lastIndexOf('/') + 1)
+  return fetch(url)
+    .then((response) => {
+      if (!response.ok) throw new Error(`Unable to load '${url}': ${response.status}`)
+      return response.json()
+    })
+    .then((cloud) => {
+      const layout = getLayout(cloud)
+      const octreeUrl = baseUrl + cloud.octreeDir + '/'
+
+      const loadNode = ({ name }) => {
+        const nodeUrl = `${octreeUrl}${hierarchyPath(name, cloud.hierarchyStepSize)}/${name}.bin`
+        // Missing nodes are empty octants, or below the leaves of the tree.
+        return fetch(nodeUrl).then((response) => (response.ok ? response.arrayBuffer() : null))
+      }
+
+      const readLevel = (nodes, count) => {
+        nodes = nodes.filter(({ box }) => !region || box.intersectsBox(region))
+        if (nodes.length == 0) return Promise.resolve()
+        return Promise.all(nodes.map(loadNode)).then((buffers) => {
+          const countPoints = (buffer) => (buffer ? Math.floor(buffer.byteLength / layout.stride) : 0)
+          const levelCount = buffers.reduce((sum, buffer) => sum + countPoints(buffer), 0)
+          const fraction = Math.min(1, (budget - count) / levelCount)
+          let carry = 0
+          const loaded = []
+          buffers.forEach((buffer, index) => {
+            if (!buffer) return
+            const { box } = nodes[index]
+            const view = new DataView(buffer)
+            for (let offset = 0; offset + layout.stride <= buffer.byteLength; offset += layout.stride) {
+              carry += fraction
+              if (carry < 1) continue
+              carry -= 1
+              visit(layout, view, offset, box)
+            }
+            loaded.push(nodes[index])
+          })
+          if (fraction < 1 || loaded.length == 0 || loaded[0].name.length > maxDepth) return
+          const children = loaded.flatMap(({ name, box }) => {
+            return [0, 1, 2, 3, 4, 5, 6, 7].map((index) => ({ name: name + index, box: childBox(box, index) }))
+          })
+          return readLevel(children, count + levelCount)
+        })
+      }
+
+      const bb = cloud.boundingBox
+      const rootBox = new Box3(new Vec3(bb.lx, bb.ly, bb.lz), new Vec3(bb.ux, bb.uy, bb.uz))
+      return readLevel([{ name: 'r', box: rootBox }], 0).then(() => layout)
+    })
+}
+
+// Loads the points of the cloud that lie within the region, given in world space.
+// Only the top levels of the octree are loaded, down to maxDepth, which gives a sparse but even sampling.
+// Resolves to a flat array of world space x, y, z values.
+const loadPotreePoints = (url, xfo, region, maxDepth = 3) => {
+  const points = []
+  const visit = (layout, view, offset, box) => {
+    const p = xfo.transformVec3(readPosition(layout, view, offset, box))
+    if (p.x < region.p0.x || p.y < region.p0.y || p.z < region.p0.z) return
+    if (p.x > region.p1.x || p.y > region.p1.y || p.z > region.p1.z) return
+    points.push(p.x, p.y, p.z)
+  }
+  return visitPoints(url, transformBox(region, xfo.inverse()), { maxDepth }, visit).then(() => new Float32Array(points))
+}
+
+// The octree is read and sampled on the main thread, so samples are kept small enough not to stall the page.
+const sampleBudget = 200000
+
+// Loads an even sample of up to budget points of the part of the cloud around the region, given in the cloud's own
+// space, or of the whole cloud without a region. Resolves to the count and the positions of the points, in the
+// cloud's space, with their colors, as r, g, b bytes, and their intensities, each null when the cloud has none.
+const loadPotreeSample = (url, region, budget = sampleBudget) => {
+  const positions = []
+  const colors = []
+  const intensities = []
+  const visit = (layout, view, offset, box) => {
+    const p = readPosition(layout, view, offset, box)
+    positions.push(p.x, p.y, p.z)
+    const colorOffset = layout.offsets.RGBA_PACKED != null ? layout.offsets.RGBA_PACKED : layout.offsets.COLOR_PACKED
+    if (colorOffset != null) {
+      const start = offset + colorOffset
+      colors.push(view.getUint8(start), view.getUint8(start + 1), view.getUint8(start + 2))
+    }
+    if (layout.offsets.INTENSITY != null) intensities.push(view.getUint16(offset + layout.offsets.INTENSITY, true))
+  }
+  return visitPoints(url, region, { budget }, visit).then(() => {
+    const count = positions.length / 3
+    return {
+      count,
+      positions: new Float32Array(positions),
+      colors: colors.length ? new Uint8Array(colors) : null,
+      intensities: intensities.length ? new Float32Array(intensities) : null,
+    }
+  })
+}
+
+export default loadPotreePoints
+export { loadPotreeSample, sampleBudget }
@@ -0,0 +1,241 @@
+const { Xfo, EventEmitter, TreeItem } = window.zeaEngine
+import download from './download.js'
+import { getRelativePath, findItem } from './AttachmentTrack.js'
+
+const projectType = 'RobotAnimationProject'
+const projectVersion = 1
+
+// Each migration upgrades a project from the version at its index to the next version.
+const migrations = [
+  // Before project files, Ctrl+S saved the track of the current mode, with the attach events.
+  (j) => {
+    const track = Object.assign({}, j)
+    delete track.attachments
+    const data = {}
+    if (j.attachments) data.attachments = j.attachments
+    if (j.type == 'JointSpaceTrack') data.jointTrack = track
+    else data.xfoTrack = track
+    return { type: projectType, version: 1, animation: { clips: { clips: [{ name: 'Clip 1', data }] } } }
+  },
+]
+
+const migrate = (j) => {
+  let version
+  if (j.type == projectType) version = j.version
+  else if (j.type == 'XfoTrack' || j.type == 'JointSpaceTrack') version = 0
+  else throw new Error('This is not a robot animation project')
+  if (version > projectVersion) throw new Error(`The project was saved by a newer version of the app (${version})`)
+  while (version < projectVersion) j = migrations[version++](j)
+  return j
+}
+
+const isObject = (json) => json != null && typeof json == 'object' && !Array.isArray(json)
+const isXfo = (json) => isObject(json) && isObject(json.tr) && isObject(json.ori)
+const isPath = (json) => Array.isArray(json) && json.length > 0 && json.every((name) => typeof name == 'string')
+const isKeys = (json) => Array.isArray(json) && json.every((key) => isObject(key) && typeof key.time == 'number')
+
+const xfoFromJSON = (json) => {
+  const xfo = new Xfo()
+  xfo.fromJSON(json)
+  return xfo
+}
+
+// Saves and opens project files, holding the clips with their keys and attach events, the tools,
+// the placement of the items in the cell and of the point cloud, how the point cloud is shown and clipped,
+// the camera, and which items are hidden.
+// The items whose placement is saved are returned by getItems, and isManaged picks out the items whose
+// visibility is left to the app, such as the target.
+// Older files holding a single track are migrated on opening.
+// A malformed file is rejected before anything is applied.
+// Emits 'loaded' after a project is opened, with the paths of the items that weren't found in its 'missing',
+// and the rig it was made for in 'otherRig' if that isn't the current rig, and 'saved' after it is saved.
+const setupProject = (appData, root, { getItems, isManaged }) => {
+  const emitter = new EventEmitter()
+  const { scene, renderer, robot } = appData
+  const camera = renderer.getViewport().getCamera()
+  let filename = `${robot.rig.name}.project.json`
+
+  // Visits the items whose visibility is saved, returning false to skip an item and its children.
+  const traverseVisible = (callback) => {
+    scene.getRoot().traverse((item) => {
+      if (!(item instanceof TreeItem) || isManaged(item)) return false
+      callback(item)
+    })
+  }
+
+  const toJSON = () => {
+    const j = {
+      type: projectType,
+      version: projectVersion,
+      rig: robot.rig.name,
+      tools: robot.tools.toJSON(),
+      items: getItems().map((item) => ({
+        path: getRelativePath(root, item),
+        xfo: item.getParameter('LocalXfo').getValue().toJSON(),
+      })),
+      camera: {
+        xfo: camera.getParameter('GlobalXfo').getValue().toJSON(),
+        focalDistance: camera.getFocalDistance(),
+      },
+      hidden: [],
+    }
+    if (appData.animation) j.animation = appData.animation.toJSON()
+    if (appData.pointCloud) j.pointCloud = { xfo: appData.pointCloud.getParameter('GlobalXfo').getValue().toJSON() }
+    if (appData.pointCloudDisplay) j.pointCloudDisplay = appData.pointCloudDisplay.toJSON()
+    traverseVisible((item) => {
+      if (!item.getParameter('Visible').getValue()) j.hidden.push(item.getPath())
+    })
+    return j
+  }
+
+  // Checks the whole project, so a malformed file is rejected before any of it is applied.
+  const validate = (j) => {
+    const fail = (reason) => {
+      throw new Error(`Unable to open the project, as ${reason}`)
+    }
+    const check = (valid, what) => valid || fail(`${what} is malformed`)
+    if ('rig' in j) check(typeof j.rig == 'string', 'the rig name')
+    if (j.tools) {
+      check(isObject(j.tools) && Array.isArray(j.tools.tools), 'the list of tools')
+      j.tools.tools.forEach((tool) => {
+        check(isObject(tool) && typeof tool.name == 'string' && isXfo(tool.xfo), 'a tool')
+      })
+      const { activeTool } = j.tools
+      if (activeTool) {
+        const known = robot.tools.getTool(activeTool) || j.tools.tools.some((tool) => tool.name == activeTool)
+        if (!known) fail(`there is no tool called '${activeTool}' to make active`)
+      }
+    }
+    if (j.animation) {
+      const { clips } = j.animation
+      check(isObject(clips) && Array.isArray(clips.clips) && clips.clips.length > 0, 'the list of clips')
+      const names = clips.clips.map((clip) => isObject(clip) && clip.name)
+      names.forEach((name, index) => {
+        check(typeof name == 'string', 'a clip name')
+        if (names.indexOf(name) != index) fail(`there are two clips called '${name}'`)
+      })
+      clips.clips.forEach(({ name, data }) => {
+        const what = `the clip '${name}'`
+        if (data == null) return
+        check(isObject(data), what)
+        if (data.xfoTrack) check(isKeys(data.xfoTrack.keys), what)
+        if (data.jointTrack) {
+          const { tracks } = data.jointTrack
+          check(Array.isArray(tracks) && tracks.every((track) => isObject(track) && isKeys(track.keys)), what)
+        }
+        if (data.attachments) {
+          check(Array.isArray(data.attachments), what)
+          data.attachments.forEach((track) => {
+            check(isObject(track) && isPath(track.part) && isKeys(track.keys), what)
+            track.keys.forEach(({ value }) =>
+              check(isObject(value) && (value.target == null || isPath(value.target)), what)
+            )
+            // Attach events can't be kept without their part and target.
+            const paths = [track.part].concat(track.keys.map(({ value }) => value.target).filter((target) => target))
+            paths.forEach((path) => {
+              if (!findItem(root, path)) fail(`${what} attaches '${path.join('/')}', which isn't in the cell`)
+            })
+          })
+        }
+      })
+    }
+    if (j.items) {
+      check(Array.isArray(j.items), 'the list of items')
+      j.items.forEach((item) => check(isObject(item) && isPath(item.path) && isXfo(item.xfo), 'an item'))
+    }
+    if (j.camera) {
+      check(isObject(j.camera) && isXfo(j.camera.xfo) && typeof j.camera.focalDistance == 'number', 'the camera')
+    }
+    if (j.hidden) check(Array.isArray(j.hidden) && j.hidden.every(isPath), 'the list of hidden items')
+    if (j.pointCloud) check(isObject(j.pointCloud) && isXfo(j.pointCloud.xfo), 'the point cloud placement')
+    if (j.pointCloudDisplay) {
+      const { clipBoxes } = j.pointCloudDisplay
+      const isClipBox = (box) => isObject(box) && isXfo(box.xfo) && isObject(box.size)
+      check(
+        isObject(j.pointCloudDisplay) && (!clipBoxes || (Array.isArray(clipBoxes) && clipBoxes.every(isClipBox))),
+        'the point cloud display'
+      )
+    }
+  }
+
+  // Anything missing from the file is left as it is.
+  const fromJSON = (j) => {
+    j = migrate(j)
+    validate(j)
+    if (j.tools) robot.tools.fromJSON(j.tools)
+    if (j.animation && appData.animation) appData.animation.fromJSON(j.animation)
+    // The clips move the parts attached at the current time, so the items are placed after them.
+    // Items missing from the cell, such as CAD models that haven't been added again, are skipped.
+    const missing = []
+    if (j.items) {
+      j.items.forEach((itemJson) => {
+        const item = findItem(root, itemJson.path)
+        if (item) item.getParameter('LocalXfo').setValue(xfoFromJSON(itemJson.xfo))
+        else missing.push(itemJson.path.join('/'))
+      })
+    }
+    if (j.camera) {
+      camera.setFocalDistance(j.camera.focalDistance)
+      camera.getParameter('GlobalXfo').setValue(xfoFromJSON(j.camera.xfo))
+    }
+    if (j.hidden) {
+      const hidden = new Set(j.hidden.map((path) => JSON.stringify(path)))
+      traverseVisible((item) => {
+        const visible = !hidden.has(JSON.stringify(item.getPath()))
+        const param = item.getParameter('Visible')
+        if (param.getValue() != visible) param.setValue(visible)
+      })
+    }
+    if (j.pointCloudDisplay && appData.pointCloudDisplay) appData.pointCloudDisplay.fromJSON(j.pointCloudDisplay)
+    // The point cloud places itself once it has loaded, so the saved placement is applied after that.
+    // A point cloud that fails to load has nothing to place.
+    if (j.pointCloud && appData.pointCloud) {
+      appData.pointCloudLoaded.then(
+        () => appData.pointCloud.getParameter('GlobalXfo').setValue(xfoFromJSON(j.pointCloud.xfo)),
+        () => {}
+      )
+    }
+    const otherRig = j.rig && j.rig != robot.rig.name ? j.rig : null
+    emitter.emit('loaded', { missing, otherRig })
+  }
+
+  const openFile = (file) => {
+    return file.text().then((text) => {
+      let j
+      try {
+        j = JSON.parse(text)
+      } catch (error) {
+        throw new Error(`'${file.name}' is not a project file: ${error.message}`)
+      }
+      fromJSON(j)
+      filename = file.name
+    })
+  }
+
+  const openUrl = (url) => {
+    return fetch(url)
+      .then((response) => {
+        if (!response.ok) throw new Error(`Unable to load project '${url}': ${response.status}`)
+        return response.json()
+      })
+      .then(fromJSON)
+  }
+
+  const save = () => {
+    download(filename, JSON.stringify(toJSON(), undefined, ' '))
+    emitter.emit('saved')
+  }
+
+  const saveAs = (name) => {
+    filename = name.endsWith('.json') ? name : `${name}.json`
+    save()
+  }
+
+  const getFilename = () => filename
+
+  const on = (eventName, listener) => emitter.on(eventName, listener)
+
+  return { on, toJSON, fromJSON, openFile, openUrl, save, saveAs, getFilename }
+}
+
+export default setupProject
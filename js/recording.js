@@ -0,0 +1,174 @@
+const { Quat, EventEmitter } = window.zeaEngine
+const { UndoRedoManager, ParameterValueChange } = window.zeaUx
+import { DeleteKeyChange, SetKeyChange, CompoundChange } from './TrackChanges.js'
+
+const defaultTolerances = {
+  // The distance in meters the reduced keys may stray from the recorded path.
+  position: 0.005,
+  // The angle in degrees the reduced keys may stray from the recorded orientations.
+  angle: 1,
+}
+
+const lerpXfo = (xfo0, xfo1, t) => {
+  let ori1 = xfo1.ori
+  if (xfo0.ori.dot(ori1) < 0) ori1 = new Quat(-ori1.x, -ori1.y, -ori1.z, -ori1.w)
+  const xfo = xfo0.clone()
+  xfo.tr = xfo0.tr.lerp(xfo1.tr, t)
+  xfo.ori = xfo0.ori.lerp(ori1, t)
+  return xfo
+}
+
+// How far the xfo is from the recorded one, as a multiple of the tolerances.
+const xfoError = (xfo, recorded, tolerances) => {
+  const distance = xfo.tr.distanceTo(recorded.tr)
+  const angle = 2 * Math.acos(Math.min(1, Math.abs(xfo.ori.dot(recorded.ori))))
+  return Math.max(distance / tolerances.position, angle / ((tolerances.angle * Math.PI) / 180))
+}
+
+// Reduces the recorded samples, each { time, xfo }, to the fewest samples that linear keys
+// can follow within the tolerances, by repeatedly splitting at the sample that strays the furthest.
+const reduceSamples = (samples, tolerances = {}) => {
+  tolerances = Object.assign({}, defaultTolerances, tolerances)
+  if (samples.length <= 2) return samples.slice()
+  const keep = new Set([0, samples.length - 1])
+  const spans = [[0, samples.length - 1]]
+  while (spans.length > 0) {
+    const [start, end] = spans.pop()
+    const sample0 = samples[start]
+    const sample1 = samples[end]
+    let maxError = 1
+    let split = -1
+    for (let i = start + 1; i < end; i++) {
+      const t = (samples[i].time - sample0.time) / (sample1.time - sample0.time)
+      const error = xfoError(lerpXfo(sample0.xfo, sample1.xfo, t), samples[i].xfo, tolerances)
+      if (error > maxError) {
+        maxError = error
+        split = i
+      }
+    }
+    if (split != -1) {
+      keep.add(split)
+      spans.push([start, split], [split, end])
+    }
+  }
+  return samples.filter((sample, index) => keep.has(index))
+}
+
+// Records the motion of the IK target into the track while the timeline plays.
+// The track sampler is detached while recording, so the target can be moved freely with the handles,
+// and the recorded motion replaces the keys it spans as one undoable change.
+// The selection manager is read from appData, to tell the moves of the target made with the handles.
+const setupRecording = ({ appData, timeParam, xfoTrack, target, samplerOutput }, timecontrols) => {
+  const emitter = new EventEmitter()
+  let recording = false
+  let source
+  let samples = []
+  const tolerances = Object.assign({}, defaultTolerances)
+
+  const showProgress = () => {
+    const bands = samples.length
+      ? [
+          {
+            start: samples[0].time,
+            end: samples[samples.length - 1].time,
+            color: 'rgba(229,32,17,0.3)',
+            title: 'Recording',
+          },
+        ]
+      : []
+    timecontrols.setBands('recording', bands)
+  }
+
+  const sample = () => {
+    if (!recording || !timecontrols.playing) return
+    const time = Math.round(timeParam.getValue())
+    const last = samples[samples.length - 1]
+    if (last && time < last.time) {
+      // Playback has looped or turned around, which ends the take.
+      stop()
+      return
+    }
+    if (last && time == last.time) samples.pop()
+    samples.push({ time, xfo: source.getValue().clone() })
+    showProgress()
+  }
+  timeParam.on('valueChanged', sample)
+  // Pausing ends the take, as does reaching the end of the range when playing once.
+  timecontrols.addEventListener('paused', () => stop())
+  // The moves of the target and of the source during a take, which the recorded keys replace.
+  // The handles move the selection as a whole, so their moves are the target's while only the target is selected.
+  const isTakeMove = (change) => {
+    if (!(change instanceof ParameterValueChange)) return false
+    const params = [source, target.getParameter('GlobalXfo')]
+    const { selectionManager } = appData
+    if (selectionManager) {
+      const selection = selectionManager.getSelection()
+      if (selection.size == 1 && selection.has(target)) {
+        params.push(selectionManager.selectionGroup.getParameter('GlobalXfo'))
+      }
+    }
+    const path = JSON.stringify(change.toJSON().paramPath)
+    return params.some((param) => JSON.stringify(param.getPath()) == path)
+  }
+
+  // The take's moves are taken off the undo stack as soon as they are added, and the handles keep updating them.
+  // Any other change made during a take is kept.
+  const undoRedoManager = UndoRedoManager.getInstance()
+  undoRedoManager.on('changeAdded', ({ change }) => {
+    if (recording && isTakeMove(change)) undoRedoManager.undo(false)
+  })
+
+  // Starts recording from the current time, following the given XfoParameter,
+  // e.g. a VR controller's GlobalXfo, or the target itself by default.
+  const start = (sourceParam = target.getParameter('GlobalXfo')) => {
+    if (recording) return
+    recording = true
+    source = sourceParam
+    samples = []
+    // Keep the target where the track put it, rather than where it was before the track was applied.
+    const xfoParam = target.getParameter('GlobalXfo')
+    const xfo = xfoParam.getValue().clone()
+    samplerOutput.detach()
+    xfoParam.setValue(xfo)
+    emitter.emit('recordingChanged', { recording })
+    timecontrols.play()
+    sample()
+  }
+
+  const stop = () => {
+    if (!recording) return
+    recording = false
+    timecontrols.pause()
+    samplerOutput.reattach()
+    timecontrols.setBands('recording', [])
+    if (samples.length > 1) {
+      const keys = reduceSamples(samples, tolerances)
+      const start = samples[0].time
+      const end = samples[samples.length - 1].time
+      const changes = []
+      for (let index = xfoTrack.getNumKeys() - 1; index >= 0; index--) {
+        const time = xfoTrack.getKeyTime(index)
+        if (time >= start && time <= end) changes.push(new DeleteKeyChange(xfoTrack, time))
+      }
+      keys.forEach((key) => changes.push(new SetKeyChange(xfoTrack, key.time, key.xfo)))
+      undoRedoManager.addChange(new CompoundChange(`Record ${xfoTrack.getName()}`, changes))
+    }
+    samples = []
+    emitter.emit('recordingChanged', { recording })
+  }
+
+  const toggle = () => (recording ? stop() : start())
+
+  const isRecording = () => recording
+
+  const getTolerances = () => Object.assign({}, tolerances)
+
+  const setTolerances = (value) => Object.assign(tolerances, value)
+
+  const on = (eventName, listener) => emitter.on(eventName, listener)
+
+  return { on, start, stop, toggle, isRecording, getTolerances, setTolerances }
+}
+
+export default setupRecording
+export { reduceSamples }
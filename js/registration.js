@@ -0,0 +1,220 @@
+const { EventEmitter, Vec3, Ray, Color, Lines, Material, GeomItem } = window.zeaEngine
+const { UndoRedoManager, ParameterValueChange } = window.zeaUx
+import fitRigidTransform from './fitRigidTransform.js'
+
+// A press that moves the pointer further than this, in pixels, orbits the camera rather than picking.
+const clickTolerance = 4
+// The half width of the crosses marking the picked points.
+const markerSize = 0.05
+
+const floorPlane = new Ray(new Vec3(0, 0, 0), new Vec3(0, 0, 1))
+
+const forwardedEvents = ['onPointerMove', 'onPointerDoublePress', 'onWheel', 'onKeyUp', 'onKeyPressed', 'onTouchCancel']
+
+const makeMarkers = (name, color) => {
+  const material = new Material(`${name}Material`, 'LinesShader')
+  material.getParameter('BaseColor').setValue(color)
+  material.getParameter('Overlay').setValue(0.5)
+  const geomItem = new GeomItem(name, new Lines(), material)
+  // The markers mustn't get in the way of picking the points behind them.
+  geomItem.setSelectable(false)
+  return geomItem
+}
+
+// Draws a cross at each point, and a line between each pair of points.
+const drawMarkers = (geomItem, points, pairs = []) => {
+  const lines = geomItem.getParameter('Geometry').getValue()
+  const axes = [new Vec3(markerSize, 0, 0), new Vec3(0, markerSize, 0), new Vec3(0, 0, markerSize)]
+  lines.setNumVertices(points.length * 6 + pairs.length * 2)
+  lines.setNumSegments(points.length * 3 + pairs.length)
+  const positions = lines.getVertexAttribute('positions')
+  points.forEach((point, index) => {
+    axes.forEach((axis, axisIndex) => {
+      const vertex = index * 6 + axisIndex * 2
+      positions.getValueRef(vertex).setFromOther(point.subtract(axis))
+      positions.getValueRef(vertex + 1).setFromOther(point.add(axis))
+      lines.setSegmentVertexIndices(index * 3 + axisIndex, vertex, vertex + 1)
+    })
+  })
+  pairs.forEach(([start, end], index) => {
+    const vertex = points.length * 6 + index * 2
+    positions.getValueRef(vertex).setFromOther(start)
+    positions.getValueRef(vertex + 1).setFromOther(end)
+    lines.setSegmentVertexIndices(points.length * 3 + index, vertex, vertex + 1)
+  })
+  lines.setBoundingBoxDirty()
+  lines.emit('geomDataTopologyChanged')
+}
+
+// Aligns the point cloud with the cell by picking pairs of matching points: a point in the cloud,
+// then the same point on the CAD model, or on the floor when nothing else is under the pointer.
+// The cloud points are kept relative to the cloud, so they move with it, and the distance left between the points
+// of each pair shows how well it fits, however it is placed. Fitting places the cloud where those distances are
+// smallest, as an undoable change, which needs three or more pairs that aren't in a line.
+// While picking, dragging still orbits the camera, and Escape stops picking.
+// Opening another point cloud clears the points picked.
+// Emits 'changed' when points are picked or removed, the cloud moves, or picking starts or stops,
+// and 'missed' with a message when a click doesn't hit what was expected.
+const setupRegistration = (appData, cameraManipulator) => {
+  const emitter = new EventEmitter()
+  const viewport = appData.renderer.getViewport()
+  let pointCloud = null
+  let xfoParam = null
+  // Each pair is { cloud, cell }, with the cloud point in the cloud's space, and cell point in world space,
+  // or null until it is picked.
+  const pairs = []
+
+  const cloudMarkers = makeMarkers('RegistrationCloudPoints', new Color(1.0, 0.5, 0.0))
+  const cellMarkers = makeMarkers('RegistrationCellPoints', new Color(0.2, 0.4, 1.0))
+  appData.scene.getRoot().addChild(cloudMarkers, false)
+  appData.scene.getRoot().addChild(cellMarkers, false)
+
+  const toWorld = (point) => xfoParam.getValue().transformVec3(point)
+
+  const update = () => {
+    const complete = pairs.filter((pair) => pair.cell)
+    const cloudPoints = pairs.map((pair) => toWorld(pair.cloud))
+    const cellPoints = complete.map((pair) => pair.cell)
+    const pairLines = complete.map((pair) => [toWorld(pair.cloud), pair.cell])
+    drawMarkers(cloudMarkers, cloudPoints, pairLines)
+    drawMarkers(cellMarkers, cellPoints)
+    emitter.emit('changed')
+  }
+
+  const setPointCloud = (cloud) => {
+    if (xfoParam) xfoParam.off('valueChanged', update)
+    stopPicking()
+    pointCloud = cloud
+    xfoParam = cloud ? cloud.getParameter('GlobalXfo') : null
+    if (xfoParam) xfoParam.on('valueChanged', update)
+    clear()
+  }
+
+  const isInCloud = (item) => {
+    for (let owner = item; owner; owner = owner.getOwner()) if (owner == pointCloud) return true
+    return false
+  }
+
+  const getNextPick = () => (pairs.length > 0 && !pairs[pairs.length - 1].cell ? 'cell' : 'cloud')
+
+  const pick = (event) => {
+    const hit = event.intersectionData
+    if (getNextPick() == 'cloud') {
+      if (!hit || !isInCloud(hit.geomItem)) {
+        emitter.emit('missed', { message: 'Click on a point of the point cloud, hiding the items in front of it' })
+        return
+      }
+      pairs.push({ cloud: xfoParam.getValue().inverse().transformVec3(hit.intersectionPos), cell: null })
+    } else if (hit && !isInCloud(hit.geomItem)) {
+      pairs[pairs.length - 1].cell = hit.intersectionPos.clone()
+    } else {
+      // The cloud is passed through to the floor under it, as the scan usually covers the floor.
+      const ray = event.pointerRay
+      const dist = ray.intersectRayPlane(floorPlane)
+      if (!(dist > 0)) {
+        emitter.emit('missed', { message: 'Click on the model, or on the floor' })
+        return
+      }
+      pairs[pairs.length - 1].cell = ray.pointAtDist(dist)
+    }
+    update()
+  }
+
+  // Clicks pick points, and everything else is passed on to the camera.
+  let downPos = null
+  const picker = {
+    onPointerDown: (event) => {
+      downPos = !event.button && event.pointerPos ? event.pointerPos.clone() : null
+      cameraManipulator.onPointerDown(event)
+    },
+    onPointerUp: (event) => {
+      const isClick = downPos && event.pointerPos && event.pointerPos.distanceTo(downPos) < clickTolerance
+      downPos = null
+      cameraManipulator.onPointerUp(event)
+      if (isClick) pick(event)
+    },
+    onKeyDown: (event) => {
+      if (event.key != 'Escape') return cameraManipulator.onKeyDown(event)
+      stopPicking()
+      return true
+    },
+  }
+  forwardedEvents.forEach((name) => (picker[name] = (event) => cameraManipulator[name](event)))
+
+  const isPicking = () => viewport.getManipulator() == picker
+
+  const startPicking = () => {
+    if (!pointCloud) throw new Error('Open a point cloud first')
+    if (isPicking()) return
+    viewport.setManipulator(picker)
+    update()
+  }
+
+  const stopPicking = () => {
+    if (!isPicking()) return
+    viewport.setManipulator(cameraManipulator)
+    update()
+  }
+
+  // Removes the last point picked.
+  const removeLastPick = () => {
+    const last = pairs[pairs.length - 1]
+    if (!last) return
+    if (last.cell) last.cell = null
+    else pairs.pop()
+    update()
+  }
+
+  const clear = () => {
+    pairs.length = 0
+    update()
+  }
+
+  // Lists the picked pairs in world space, with the distance between the points of each complete pair.
+  const getPairs = () => {
+    return pairs.map((pair) => {
+      const cloud = toWorld(pair.cloud)
+      return { cloud, cell: pair.cell, distance: pair.cell ? cloud.distanceTo(pair.cell) : null }
+    })
+  }
+
+  // The root mean square of the distances between the points of each complete pair, or null without any.
+  const getError = () => {
+    const distances = getPairs()
+      .filter((pair) => pair.cell)
+      .map((pair) => pair.distance)
+    if (distances.length == 0) return null
+    return Math.sqrt(distances.reduce((sum, distance) => sum + distance * distance, 0) / distances.length)
+  }
+
+  // Places the cloud so its points best match the cell points. The cloud keeps its scale.
+  const fit = () => {
+    if (!pointCloud) throw new Error('Open a point cloud first')
+    const complete = pairs.filter((pair) => pair.cell)
+    const { sc } = xfoParam.getValue()
+    const sources = complete.map((pair) => pair.cloud.multiply(sc))
+    const targets = complete.map((pair) => pair.cell)
+    const { xfo, rms } = fitRigidTransform(sources, targets)
+    xfo.sc = sc.clone()
+    UndoRedoManager.getInstance().addChange(new ParameterValueChange(xfoParam, xfo))
+    return rms
+  }
+
+  const on = (eventName, listener) => emitter.on(eventName, listener)
+
+  return {
+    on,
+    setPointCloud,
+    startPicking,
+    stopPicking,
+    isPicking,
+    getNextPick,
+    removeLastPick,
+    clear,
+    getPairs,
+    getError,
+    fit,
+  }
+}
+
+export default setupRegistration
@@ -0,0 +1,100 @@
+const { Xfo, Group } = window.zeaEngine
+const { TriangleIKSolver, RamAndPistonOperator } = window.zeaKinematics
+
+// A rig describes how the nodes of a CAD asset are wired into the kinematics graph.
+// See data/rigs/MC700.json for the format.
+const loadRig = (url) => {
+  return fetch(url).then((response) => {
+    if (!response.ok) throw new Error(`Unable to load rig '${url}': ${response.status}`)
+    return response.json()
+  })
+}
+
+// Nodes are referenced either by the name of a direct child of the asset, or by a path array.
+const resolveNode = (asset, path) => {
+  const node = Array.isArray(path) ? asset.resolvePath(path) : asset.getChildByName(path)
+  if (!node) throw new Error(`Rig node not found: ${path}`)
+  return node
+}
+
+// Returns the joints, and the rest pose of each group the rig drives, by group, so the rig can be exported.
+const buildRig = (rig, asset, ikSolver, targetItem, treeItem, tools) => {
+  const groups = {}
+  const restXfos = new Map()
+
+  // The rest pose is captured before the operators driving the group are set up.
+  function addGroup(name, parent) {
+    const group = new Group(name)
+    group.addItem(resolveNode(asset, name))
+    parent.addChild(group)
+    groups[name] = group
+    restXfos.set(group, group.getParameter('GlobalXfo').getValue().clone())
+    return group
+  }
+
+  function getGroup(name) {
+    if (!groups[name]) throw new Error(`Rig group not found: ${name}`)
+    return groups[name]
+  }
+
+  // ///////////////////////////////////////
+  // Setup the joints
+  // The optional maxSpeed and maxAcceleration, in degrees per second (squared), are checked by analyzeMotion.
+  const joints = rig.joints.map((joint) => {
+    const group = addGroup(joint.name, treeItem)
+    ikSolver.addJoint(group.getParameter('GlobalXfo'), joint.axis, joint.limits)
+    const { name, axis, limits, maxSpeed, maxAcceleration } = joint
+    return { name, axis, limits, maxSpeed, maxAcceleration, group, restXfo: restXfos.get(group) }
+  })
+
+  // ///////////////////////////////////////
+  // Setup the Target
+  // The target starts at the center point of the active tool, unless the rig places it.
+  const tip = resolveNode(asset, rig.tip)
+  tools.setFlange(tip)
+  let targXfo
+  if (rig.target && rig.target.xfo) {
+    targXfo = new Xfo()
+    targXfo.fromJSON(rig.target.xfo)
+  } else {
+    targXfo = tools.getTcpXfo(tip.getParameter('GlobalXfo').getValue())
+  }
+  targetItem.getParameter('GlobalXfo').setValue(targXfo)
+
+  ikSolver.enable()
+
+  // ///////////////////////////////////////
+  // Setup the triangle constraints, e.g. counterweights
+  const triangles = rig.triangles || []
+  triangles.forEach((triangle) => {
+    const parent = getGroup(triangle.parent)
+    const joint0Group = addGroup(triangle.joint0, parent)
+    const joint1Group = addGroup(triangle.joint1, parent)
+
+    const triangleOp = new TriangleIKSolver(triangle.name)
+    const targetGeomItem = resolveNode(asset, triangle.target)
+    triangleOp.getInput('Target').setParam(targetGeomItem.getParameter('GlobalXfo'))
+    triangleOp.getOutput('Joint0').setParam(joint0Group.getParameter('GlobalXfo'))
+    triangleOp.getOutput('Joint1').setParam(joint1Group.getParameter('GlobalXfo'))
+    triangleOp.enable()
+    treeItem.addChild(triangleOp)
+  })
+
+  // ///////////////////////////////////////
+  // Setup pistons
+  const rams = rig.rams || []
+  rams.forEach((ram) => {
+    const ramGroup = addGroup(ram.ram, getGroup(ram.ramParent))
+    const pistonGroup = addGroup(ram.piston, getGroup(ram.pistonParent))
+
+    const ramPistonOp = new RamAndPistonOperator(ram.ram + '>' + ram.piston)
+    ramPistonOp.getParameter('Axis').setValue(ram.axis)
+    ramPistonOp.getOutput('Ram').setParam(ramGroup.getParameter('GlobalXfo'))
+    ramPistonOp.getOutput('Piston').setParam(pistonGroup.getParameter('GlobalXfo'))
+    treeItem.addChild(ramPistonOp)
+  })
+
+  return { joints, restXfos }
+}
+
+export { loadRig, buildRig }
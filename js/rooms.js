@@ -0,0 +1,181 @@
+const { EventEmitter, Color } = window.zeaEngine
+
+const storageKey = 'zea-robot-animation-user'
+const collabUrl = 'https://unpkg.com/@zeainc/zea-collab@4'
+
+const defaultOptions = {
+  // The time in ms to wait for the server before working offline.
+  timeout: 10000,
+}
+
+const loadScript = (src, timeout) => {
+  return new Promise((resolve, reject) => {
+    const script = document.createElement('script')
+    const timeoutId = setTimeout(() => reject(new Error(`Timed out loading ${src}`)), timeout)
+    script.onload = () => {
+      clearTimeout(timeoutId)
+      resolve()
+    }
+    script.onerror = () => {
+      clearTimeout(timeoutId)
+      reject(new Error(`Unable to load ${src}`))
+    }
+    script.src = src
+    document.head.appendChild(script)
+  })
+}
+
+// The user's name and color are kept for the next session. The id is new each time,
+// so the same user can join from two tabs. Returns { userData, error }, with the error reading the stored name, if any.
+const loadUserData = () => {
+  let stored = {}
+  let error = null
+  try {
+    stored = JSON.parse(localStorage.getItem(storageKey)) || {}
+  } catch (reason) {
+    error = reason
+  }
+  const userData = {
+    given_name: stored.given_name || '',
+    family_name: stored.family_name || '',
+    id: Math.random().toString(36).slice(2, 12),
+    color: stored.color || Color.random().toHex(),
+  }
+  return { userData, error }
+}
+
+// Connects to the collaboration server and manages the room the user is in.
+// The socket.io client is loaded from the server itself, so any socket.io server running the zea-collab
+// protocol can be used, and zea-collab is loaded after it, from the server if it serves it, as collabRelay.js does.
+// Without a server, or if it can't be reached, the app works offline, and the session is null.
+// The room is kept in the 'room-id' url parameter, so the page's url is the link to share.
+// Emits 'joined' when joining a room, and 'statusChanged' when connecting, joining or leaving a room, or going offline.
+const setupRooms = (socketUrl, options = {}) => {
+  options = Object.assign({}, defaultOptions, options)
+  const emitter = new EventEmitter()
+  const { userData, error: storageError } = loadUserData()
+  let session = null
+  let roomId = null
+  // One of 'offline', 'loading', 'ready', 'connecting', 'connected' or 'disconnected'.
+  let status = socketUrl ? 'loading' : 'offline'
+  let message = socketUrl ? `Connecting to ${socketUrl}` : 'Working offline'
+  // Added to the message until the name is entered again, if the saved name couldn't be read.
+  let notice = storageError ? `. Unable to read your saved name, so enter it again: ${storageError.message}` : ''
+
+  const getStatus = () => ({ status, message: message + notice })
+
+  const setStatus = (value, text) => {
+    status = value
+    message = text
+    emitter.emit('statusChanged', getStatus())
+  }
+
+  // zea-collab takes the socket.io client from the page as it loads.
+  const serverUrl = socketUrl && socketUrl.replace(/\/$/, '')
+  const loadCollab = () => {
+    return loadScript(`${serverUrl}/zea-collab.js`, options.timeout).catch(() => loadScript(collabUrl, options.timeout))
+  }
+
+  // Resolves to the session, or null when working offline.
+  const ready = !socketUrl
+    ? Promise.resolve(null)
+    : loadScript(`${serverUrl}/socket.io/socket.io.js`, options.timeout)
+        .then(loadCollab)
+        .then(() => {
+          const { Session } = window.zeaCollab
+          session = new Session(userData, socketUrl)
+          setStatus('ready', 'Not in a room')
+          return session
+        })
+        .catch((error) => {
+          setStatus('offline', `Working offline, as ${socketUrl} can't be reached: ${error.message}`)
+          return null
+        })
+
+  const getShareLink = (id) => {
+    const url = new URL(window.location.href)
+    url.searchParams.set('room-id', id)
+    return url.href
+  }
+
+  const updateUrl = () => {
+    const url = new URL(window.location.href)
+    if (roomId) url.searchParams.set('room-id', roomId)
+    else url.searchParams.delete('room-id')
+    history.replaceState(null, '', url.href)
+  }
+
+  const setUserName = (givenName, familyName) => {
+    if (!givenName) throw new Error('Enter your name first')
+    userData.given_name = givenName
+    userData.family_name = familyName || ''
+    const { given_name, family_name, color } = userData
+    localStorage.setItem(storageKey, JSON.stringify({ given_name, family_name, color }))
+    if (notice) {
+      notice = ''
+      emitter.emit('statusChanged', getStatus())
+    }
+  }
+
+  const hasUserName = () => !!userData.given_name
+
+  const join = (id) => {
+    if (!session) throw new Error(message)
+    if (!id) throw new Error('Enter the name of the room to join')
+    if (!hasUserName()) throw new Error('Enter your name first')
+    roomId = id
+    session.joinRoom(roomId)
+    updateUrl()
+    setStatus('connecting', `Joining '${roomId}'`)
+    emitter.emit('joined', { roomId })
+    // The socket of the room that was left may still report disconnecting.
+    const { socket } = session
+    const isCurrent = () => socket == session.socket && roomId
+    socket.on('connect', () => {
+      if (isCurrent()) setStatus('connected', `In the room '${roomId}'`)
+    })
+    socket.on('connect_error', () => {
+      if (isCurrent()) setStatus('disconnected', `Unable to reach ${socketUrl}, retrying`)
+    })
+    socket.on('disconnect', () => {
+      if (isCurrent()) setStatus('disconnected', `Disconnected from '${roomId}', retrying`)
+    })
+  }
+
+  const leave = () => {
+    if (!session || !roomId) return
+    roomId = null
+    const { socket } = session
+    session.leaveRoom()
+    // The socket is closed once the server acknowledges leaving, which it can't while disconnected.
+    if (!socket.connected) socket.close()
+    updateUrl()
+    setStatus('ready', 'Not in a room')
+  }
+
+  // Makes up a room name that is hard to guess.
+  const makeRoomId = () => Math.random().toString(36).slice(2, 10)
+
+  const getSession = () => session
+  const getRoomId = () => roomId
+  const getUserData = () => userData
+
+  const on = (eventName, listener) => emitter.on(eventName, listener)
+
+  return {
+    on,
+    ready,
+    join,
+    leave,
+    makeRoomId,
+    getShareLink,
+    setUserName,
+    hasUserName,
+    getSession,
+    getRoomId,
+    getUserData,
+    getStatus,
+  }
+}
+
+export default setupRooms
@@ -0,0 +1,38 @@
+// Steps the time parameter through the given times, calling back at each sample so the solved scene can be inspected.
+// The time is restored afterwards.
+const sampleTimes = (timeParam, times, callback) => {
+  const currTime = timeParam.getValue()
+  times.forEach((time) => {
+    timeParam.setValue(time)
+    callback(time)
+  })
+  timeParam.setValue(currTime)
+}
+
+// Samples the whole range of the time parameter at the given interval.
+const sampleTimeline = (timeParam, step, callback) => {
+  const range = timeParam.getRange()
+  const times = []
+  for (let time = range[0]; time <= range[1]; time += step) times.push(time)
+  sampleTimes(timeParam, times, callback)
+}
+
+// Collects the spans of time over which some condition holds while sampling.
+// Each condition is identified by a key, and each span records the given props.
+const createSpanRecorder = () => {
+  const spans = []
+  const openSpans = {}
+  const update = (key, active, time, props) => {
+    if (active && !openSpans[key]) {
+      openSpans[key] = Object.assign({ start: time, end: time }, props)
+      spans.push(openSpans[key])
+    } else if (active) {
+      openSpans[key].end = time
+    } else if (openSpans[key]) {
+      delete openSpans[key]
+    }
+  }
+  return { spans, update }
+}
+
+export { sampleTimes, sampleTimeline, createSpanRecorder }
@@ -0,0 +1,151 @@
+const { Xfo, Color, EventEmitter, TreeItem, GeomItem, Material, Cuboid, Cylinder, Cone } = window.zeaEngine
+import ToolOffsetOperator from './ToolOffsetOperator.js'
+
+const shapes = { cuboid: Cuboid, cylinder: Cylinder, cone: Cone }
+
+// Without a tool, the tool center point is the center of the flange.
+const flangeTool = { name: 'Flange', xfo: new Xfo() }
+
+const xfoFromJSON = (json) => {
+  const xfo = new Xfo()
+  if (json) xfo.fromJSON(json)
+  return xfo
+}
+
+// Manages the tool frames mounted on the robot's flange, as listed in the rig's 'tools'.
+// Each tool is { name, xfo, geometry }, where the xfo places the tool center point relative to the flange,
+// and the optional geometry is { shape: 'cuboid' | 'cylinder' | 'cone', args, xfo } for displaying the tool.
+// The IK target stands for the active tool's center point, and the IK solves for the flange pose that puts it there.
+// Emits 'changed' when a tool is added or edited, and 'activeToolChanged' when another tool is picked.
+const setupTools = (rig) => {
+  const emitter = new EventEmitter()
+  const tools = [flangeTool]
+  const geomItems = new Map()
+  let flange
+
+  const flangeTarget = new TreeItem('flangeTarget')
+  const operator = new ToolOffsetOperator('ToolOffset')
+  operator.getOutput('Flange').setParam(flangeTarget.getParameter('GlobalXfo'))
+
+  const getTool = (name) => tools.find((tool) => tool.name == name)
+
+  let activeTool = flangeTool
+
+  // Shows the geometry of the active tool on the flange.
+  const updateGeometry = () => {
+    geomItems.forEach((geomItem, tool) => geomItem.getParameter('Visible').setValue(tool == activeTool))
+  }
+
+  const addGeometry = (tool) => {
+    if (!flange || !tool.geometry) return
+    const { shape, args = [], xfo } = tool.geometry
+    if (!shapes[shape]) throw new Error(`Unknown tool shape '${shape}'`)
+    const material = new Material(`${tool.name}Material`, 'SimpleSurfaceShader')
+    material.getParameter('BaseColor').setValue(new Color(0.6, 0.6, 0.6))
+    const geomItem = new GeomItem(tool.name, new shapes[shape](...args), material)
+    // The flange may be scaled to the units of the CAD model, which the tool shouldn't inherit.
+    const scale = 1 / flange.getParameter('GlobalXfo').getValue().sc.x
+    const localXfo = xfoFromJSON(xfo)
+    localXfo.tr.scaleInPlace(scale)
+    localXfo.sc.scaleInPlace(scale)
+    geomItem.getParameter('LocalXfo').setValue(localXfo)
+    flange.addChild(geomItem, false)
+    geomItems.set(tool, geomItem)
+  }
+
+  const addTool = (tool) => {
+    if (!tool.name) throw new Error('Tools need a name')
+    if (getTool(tool.name)) throw new Error(`There is already a tool called '${tool.name}'`)
+    tool = Object.assign({}, tool, { xfo: tool.xfo instanceof Xfo ? tool.xfo.clone() : xfoFromJSON(tool.xfo) })
+    addGeometry(tool)
+    tools.push(tool)
+    updateGeometry()
+    emitter.emit('changed')
+    return tool
+  }
+
+  // Picks the tool whose center point follows the target.
+  const setActiveTool = (name) => {
+    const tool = getTool(name)
+    if (!tool) throw new Error(`Unknown tool '${name}'`)
+    activeTool = tool
+    operator.getParameter('Offset').setValue(tool.xfo.clone())
+    updateGeometry()
+    emitter.emit('activeToolChanged', { tool })
+  }
+
+  // Moves the center point of a tool, e.g. after measuring the length of a torch.
+  const setToolXfo = (name, xfo) => {
+    const tool = getTool(name)
+    if (!tool) throw new Error(`Unknown tool '${name}'`)
+    if (tool == flangeTool) throw new Error('The flange frame can not be moved')
+    tool.xfo = xfo.clone()
+    if (tool == activeTool) operator.getParameter('Offset').setValue(tool.xfo.clone())
+    emitter.emit('changed')
+  }
+
+  // The pose of the active tool's center point, given the pose of the flange.
+  const getTcpXfo = (flangeXfo) => {
+    const xfo = flangeXfo.clone()
+    xfo.sc.set(1, 1, 1)
+    return xfo.multiply(activeTool.xfo)
+  }
+
+  // Mounts the geometry of the tools, once the flange has been loaded.
+  const setFlange = (item) => {
+    flange = item
+    tools.forEach(addGeometry)
+    updateGeometry()
+  }
+
+  // Drives the flange target from the pose of the tool center point.
+  const setTarget = (target) => {
+    operator.getInput('Tcp').setParam(target.getParameter('GlobalXfo'))
+  }
+
+  const getTools = () => tools.slice()
+
+  const getActiveTool = () => activeTool
+
+  // The tools added to the flange, and the active tool, as saved in project files.
+  const toJSON = () => {
+    return {
+      tools: tools
+        .filter((tool) => tool != flangeTool)
+        .map(({ name, xfo, geometry }) => ({ name, xfo: xfo.toJSON(), geometry })),
+      activeTool: activeTool.name,
+    }
+  }
+
+  // Tools that are already mounted keep their geometry, but take the saved frame.
+  const fromJSON = (j) => {
+    j.tools.forEach((toolJson) => {
+      if (getTool(toolJson.name)) setToolXfo(toolJson.name, xfoFromJSON(toolJson.xfo))
+      else addTool(toolJson)
+    })
+    if (j.activeTool) setActiveTool(j.activeTool)
+  }
+
+  const on = (eventName, listener) => emitter.on(eventName, listener)
+
+  if (rig.tools) rig.tools.forEach(addTool)
+  if (rig.activeTool) setActiveTool(rig.activeTool)
+
+  return {
+    on,
+    flangeTarget,
+    getTools,
+    getTool,
+    addTool,
+    setToolXfo,
+    getActiveTool,
+    setActiveTool,
+    getTcpXfo,
+    setFlange,
+    setTarget,
+    toJSON,
+    fromJSON,
+  }
+}
+
+export default setupTools
@@ -0,0 +1,131 @@
+const { Group, MathFunctions } = window.zeaEngine
+import { quatToRPY } from './kinematics.js'
+
+// URDF joints map onto rig joints by the name of their child link, which must match the CAD node name.
+// Only joint axes aligned with one of the principal axes can be represented by the IKSolver.
+
+const formatNumber = (value) => Number(value.toFixed(6)).toString()
+
+const escapeXML = (text) =>
+  text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;')
+
+const parseAxis = (xyz) => {
+  const values = xyz.trim().split(/\s+/).map(Number)
+  const magnitudes = values.map(Math.abs)
+  const axis = magnitudes.indexOf(Math.max(...magnitudes))
+  if (magnitudes.some((magnitude, index) => index != axis && magnitude > 1e-6))
+    throw new Error(`Unsupported URDF joint axis '${xyz}'. Only principal axes are supported`)
+  return { axis, sign: Math.sign(values[axis]) }
+}
+
+const parseLimits = (limitElement, sign) => {
+  if (!limitElement) throw new Error('URDF revolute joints must specify a <limit>')
+  const lower = MathFunctions.radToDeg(Number(limitElement.getAttribute('lower') || 0))
+  const upper = MathFunctions.radToDeg(Number(limitElement.getAttribute('upper') || 0))
+  // A negative axis is expressed as a positive axis with mirrored limits.
+  return sign < 0 ? [-upper, -lower] : [lower, upper]
+}
+
+// Returns a copy of the rig with its joints replaced by the revolute joints of the URDF robot description.
+// Settings URDF can't describe, such as maxAcceleration, are kept from the rig's joint of the same name.
+const importURDF = (rig, text) => {
+  const doc = new DOMParser().parseFromString(text, 'application/xml')
+  if (doc.getElementsByTagName('parsererror').length > 0) throw new Error('Invalid URDF file')
+
+  const jointElements = Array.from(doc.documentElement.children).filter((element) => element.tagName == 'joint')
+  const linkOf = (jointElement, tag) => jointElement.getElementsByTagName(tag)[0].getAttribute('link')
+  const childLinks = new Set(jointElements.map((jointElement) => linkOf(jointElement, 'child')))
+  const rootElements = jointElements.filter((jointElement) => !childLinks.has(linkOf(jointElement, 'parent')))
+  if (rootElements.length == 0) throw new Error('URDF has no root link')
+
+  const rigJoints = rig.joints || []
+  // Walk the link tree from the root so the joints are listed in chain order.
+  const joints = []
+  const visit = (link) => {
+    jointElements
+      .filter((jointElement) => linkOf(jointElement, 'parent') == link)
+      .forEach((jointElement) => {
+        const type = jointElement.getAttribute('type')
+        const child = linkOf(jointElement, 'child')
+        if (type == 'revolute') {
+          const axisElement = jointElement.getElementsByTagName('axis')[0]
+          const { axis, sign } = parseAxis(axisElement ? axisElement.getAttribute('xyz') : '1 0 0')
+          const limitElement = jointElement.getElementsByTagName('limit')[0]
+          const rigJoint = rigJoints.find((joint) => joint.name == child)
+          const joint = Object.assign({}, rigJoint, { name: child, axis, limits: parseLimits(limitElement, sign) })
+          // URDF has no acceleration limits, but its velocity limit is the joint's max speed in rad/s.
+          const velocity = Number(limitElement.getAttribute('velocity') || 0)
+          if (velocity > 0) joint.maxSpeed = MathFunctions.radToDeg(velocity)
+          joints.push(joint)
+        } else if (type != 'fixed') {
+          console.warn(`Ignoring URDF joint '${jointElement.getAttribute('name')}' of type '${type}'`)
+        }
+        visit(child)
+      })
+  }
+  visit(linkOf(rootElements[0], 'parent'))
+
+  return Object.assign({}, rig, { joints })
+}
+
+const originXML = (xfo) => {
+  const xyz = [xfo.tr.x, xfo.tr.y, xfo.tr.z].map(formatNumber).join(' ')
+  const rpy = quatToRPY(xfo.ori).map(formatNumber).join(' ')
+  return `<origin xyz="${xyz}" rpy="${rpy}"/>`
+}
+
+// Writes the robot's joint chain, and the groups attached to each joint, as a URDF robot description.
+// Joints without a maxSpeed are written without a velocity limit, as URDF has no way to say there is none.
+const exportURDF = (robot) => {
+  const { rig, asset, joints, restXfos } = robot
+  const baseLink = rig.model.name
+  const lines = [
+    '<?xml version="1.0"?>',
+    `<robot name="${escapeXML(rig.name)}">`,
+    `  <link name="${escapeXML(baseLink)}"/>`,
+  ]
+
+  joints.forEach((joint, index) => {
+    const parent = index == 0 ? baseLink : joints[index - 1].name
+    const parentXfo = index == 0 ? asset.getParameter('GlobalXfo').getValue() : joints[index - 1].restXfo
+    const axis = [0, 0, 0]
+    axis[joint.axis] = 1
+    const lower = formatNumber(MathFunctions.degToRad(joint.limits[0]))
+    const upper = formatNumber(MathFunctions.degToRad(joint.limits[1]))
+    const velocity = joint.maxSpeed ? ` velocity="${formatNumber(MathFunctions.degToRad(joint.maxSpeed))}"` : ''
+    lines.push(
+      `  <link name="${escapeXML(joint.name)}"/>`,
+      `  <joint name="${escapeXML(parent)}_${escapeXML(joint.name)}" type="revolute">`,
+      `    <parent link="${escapeXML(parent)}"/>`,
+      `    <child link="${escapeXML(joint.name)}"/>`,
+      `    ${originXML(parentXfo.inverse().multiply(joint.restXfo))}`,
+      `    <axis xyz="${axis.join(' ')}"/>`,
+      `    <limit lower="${lower}" upper="${upper}" effort="0"${velocity}/>`,
+      '  </joint>'
+    )
+  })
+
+  // Groups parented under the joints, such as counterweights and pistons, are driven by their own
+  // operators. URDF can't describe those, so they are exported as fixed links in their rest pose.
+  const addFixedLinks = (parentGroup) => {
+    parentGroup.getChildren().forEach((child) => {
+      if (!(child instanceof Group) || !restXfos.has(child)) return
+      const xfo = restXfos.get(parentGroup).inverse().multiply(restXfos.get(child))
+      lines.push(
+        `  <link name="${escapeXML(child.getName())}"/>`,
+        `  <joint name="${escapeXML(parentGroup.getName())}_${escapeXML(child.getName())}" type="fixed">`,
+        `    <parent link="${escapeXML(parentGroup.getName())}"/>`,
+        `    <child link="${escapeXML(child.getName())}"/>`,
+        `    ${originXML(xfo)}`,
+        '  </joint>'
+      )
+      addFixedLinks(child)
+    })
+  }
+  joints.forEach((joint) => addFixedLinks(joint.group))
+
+  lines.push('</robot>', '')
+  return lines.join('\n')
+}
+
+export { importURDF, exportURDF }
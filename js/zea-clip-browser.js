@@ -0,0 +1,145 @@
+const formatLength = (length) => `${(length / 1000).toFixed(2)}s`
+
+// Lists the animation's clips. Clicking on a clip switches to it.
+// The buttons act on the current clip, and build up the sequence of clips to play.
+export class ZeaClipBrowser extends HTMLElement {
+  constructor() {
+    super()
+    const shadowRoot = this.attachShadow({ mode: 'open' })
+
+    const header = document.createElement('div')
+    header.classList.add('header')
+    header.textContent = 'Clips'
+    shadowRoot.appendChild(header)
+
+    this.list = document.createElement('div')
+    shadowRoot.appendChild(this.list)
+
+    const addButton = (parent, label, callback) => {
+      const button = document.createElement('button')
+      button.textContent = label
+      button.addEventListener('click', () => {
+        try {
+          callback()
+        } catch (error) {
+          alert(error.message)
+        }
+      })
+      parent.appendChild(button)
+    }
+
+    const clipButtons = document.createElement('div')
+    clipButtons.classList.add('buttons')
+    shadowRoot.appendChild(clipButtons)
+    addButton(clipButtons, 'New', () => {
+      const name = prompt('Clip name')
+      if (name) this.__clips.createClip(name)
+    })
+    addButton(clipButtons, 'Duplicate', () => {
+      const current = this.__clips.getCurrentClip()
+      const name = prompt('Clip name', `${current} copy`)
+      if (name) this.__clips.duplicateClip(current, name)
+    })
+    addButton(clipButtons, 'Rename', () => {
+      const current = this.__clips.getCurrentClip()
+      const name = prompt('Clip name', current)
+      if (name && name != current) this.__clips.renameClip(current, name)
+    })
+    addButton(clipButtons, 'Length', () => {
+      const current = this.__clips.getClips().find((clip) => clip.name == this.__clips.getCurrentClip())
+      const length = Number(prompt('Clip length (s)', current.length / 1000))
+      if (length > 0) this.__clips.setClipLength(current.name, Math.round(length * 1000))
+    })
+    addButton(clipButtons, 'Delete', () => {
+      const current = this.__clips.getCurrentClip()
+      if (confirm(`Delete the clip '${current}'?`)) this.__clips.deleteClip(current)
+    })
+
+    this.sequence = document.createElement('div')
+    this.sequence.classList.add('sequence')
+    shadowRoot.appendChild(this.sequence)
+
+    const sequenceButtons = document.createElement('div')
+    sequenceButtons.classList.add('buttons')
+    shadowRoot.appendChild(sequenceButtons)
+    addButton(sequenceButtons, 'Add to Sequence', () => {
+      this.__clips.setSequence([...this.__clips.getSequence(), this.__clips.getCurrentClip()])
+    })
+    addButton(sequenceButtons, 'Clear', () => {
+      this.__clips.setSequence([])
+    })
+    addButton(sequenceButtons, 'Play', () => {
+      this.__clips.playSequence()
+    })
+
+    const styleTag = document.createElement('style')
+    styleTag.appendChild(
+      document.createTextNode(`
+
+    :host {
+      display: block;
+      color: var(--color-foreground-1, #e0e0e0);
+      font-size: 12px;
+      text-align: left;
+    }
+    .header {
+      padding: 5px;
+      font-weight: bold;
+      border-bottom: 1px solid #545454;
+    }
+    .clip {
+      padding: 3px 5px;
+      cursor: pointer;
+    }
+    .clip:hover {
+      background-color: var(--color-grey-2, #393939);
+    }
+    .current {
+      color: var(--color-secondary-1, #f9ce03);
+    }
+    .length {
+      float: right;
+    }
+    .sequence {
+      padding: 5px;
+      border-top: 1px solid #545454;
+    }
+    .buttons {
+      padding: 0px 5px 5px 5px;
+    }
+`)
+    )
+    shadowRoot.appendChild(styleTag)
+  }
+
+  set clips(clips) {
+    this.__clips = clips
+    clips.on('changed', () => this.update())
+    clips.on('clipChanged', () => this.update())
+    this.update()
+  }
+
+  update() {
+    while (this.list.firstChild) this.list.removeChild(this.list.firstChild)
+    const current = this.__clips.getCurrentClip()
+    this.__clips.getClips().forEach((clip) => {
+      const row = document.createElement('div')
+      row.classList.add('clip')
+      if (clip.name == current) row.classList.add('current')
+      row.textContent = clip.name
+
+      const length = document.createElement('span')
+      length.classList.add('length')
+      length.textContent = formatLength(clip.length)
+      row.appendChild(length)
+
+      row.addEventListener('click', () => this.__clips.setCurrentClip(clip.name))
+      this.list.appendChild(row)
+    })
+
+    const sequence = this.__clips.getSequence()
+    this.sequence.textContent = `Sequence: ${sequence.length > 0 ? sequence.join(' → ') : 'empty'}`
+  }
+}
+
+customElements.define('zea-clip-browser', ZeaClipBrowser)
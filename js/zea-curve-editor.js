@@ -0,0 +1,373 @@
+const { MathFunctions } = window.zeaEngine
+const { UndoRedoManager } = window.zeaUx
+import { quatToRPY, rpyToQuat } from './kinematics.js'
+import { SetKeyChange, SetKeyInterpolationChange } from './TrackChanges.js'
+import { defaultBezier } from './interpolation.js'
+
+const colors = ['#e52011', '#2fb344', '#3f7ee8']
+const padding = 10
+const pickDistance = 6
+
+// The channels plotted for each group. Rotations are shown as roll, pitch and yaw angles in degrees.
+const channelGroups = {
+  Position: {
+    labels: ['X', 'Y', 'Z'],
+    getValues: (xfo) => [xfo.tr.x, xfo.tr.y, xfo.tr.z],
+    setValue: (xfo, channel, value) => {
+      const result = xfo.clone()
+      result.tr[['x', 'y', 'z'][channel]] = value
+      return result
+    },
+  },
+  Rotation: {
+    labels: ['Roll', 'Pitch', 'Yaw'],
+    getValues: (xfo) => quatToRPY(xfo.ori).map(MathFunctions.radToDeg),
+    setValue: (xfo, channel, value) => {
+      const rpy = quatToRPY(xfo.ori)
+      rpy[channel] = MathFunctions.degToRad(value)
+      const result = xfo.clone()
+      result.ori = rpyToQuat(rpy)
+      return result
+    },
+  },
+}
+
+// The bezier handles that reproduce the key's interpolation, or null if it can't be shaped.
+const getHandles = (interpolation) => {
+  switch (interpolation.mode) {
+    case 'bezier':
+      return interpolation.bezier || defaultBezier
+    case 'smooth':
+      return [1 / 3, 0, 2 / 3, 1]
+    case 'linear':
+      return [1 / 3, 1 / 3, 2 / 3, 2 / 3]
+    default:
+      return null
+  }
+}
+
+// Plots the position or rotation of the keys of an XfoTrack over time.
+// Dragging a key changes its value in the plotted channel. Selecting a key shows the handles of the ease
+// towards the next key, and dragging those turns the key's interpolation into a bezier ease.
+// Each edit is recorded as an undoable change. Clicking elsewhere moves the time.
+export class ZeaCurveEditor extends HTMLElement {
+  constructor() {
+    super()
+    const shadowRoot = this.attachShadow({ mode: 'open' })
+
+    const header = document.createElement('div')
+    header.classList.add('header')
+    header.textContent = 'Curves'
+    shadowRoot.appendChild(header)
+
+    this.groupSelect = document.createElement('select')
+    Object.keys(channelGroups).forEach((name) => {
+      const option = document.createElement('option')
+      option.textContent = name
+      this.groupSelect.appendChild(option)
+    })
+    this.groupSelect.addEventListener('change', () => {
+      this.selectedKey = -1
+      this.invalidate()
+    })
+    header.appendChild(this.groupSelect)
+
+    this.legend = document.createElement('div')
+    this.legend.classList.add('legend')
+    shadowRoot.appendChild(this.legend)
+
+    this.canvas = document.createElement('canvas')
+    this.canvas.height = 200
+    shadowRoot.appendChild(this.canvas)
+
+    this.selectedKey = -1
+    this.selectedChannel = 0
+    this.canvas.addEventListener('mousedown', (event) => this.onMouseDown(event))
+    new ResizeObserver(() => this.invalidate()).observe(this)
+
+    const styleTag = document.createElement('style')
+    styleTag.appendChild(
+      document.createTextNode(`
+
+    :host {
+      display: block;
+      color: var(--color-foreground-1, #e0e0e0);
+      font-size: 12px;
+      text-align: left;
+    }
+    .header {
+      padding: 5px;
+      font-weight: bold;
+      border-bottom: 1px solid #545454;
+    }
+    select {
+      float: right;
+      font-size: 11px;
+    }
+    .legend {
+      padding: 3px 5px;
+    }
+    .legend span {
+      margin-right: 10px;
+    }
+    canvas {
+      display: block;
+      cursor: crosshair;
+    }
+`)
+    )
+    shadowRoot.appendChild(styleTag)
+  }
+
+  set timeParam(timeParam) {
+    this.__timeParam = timeParam
+    timeParam.on('valueChanged', () => this.draw())
+    this.invalidate()
+  }
+
+  set track(track) {
+    this.__track = track
+    const invalidate = () => this.invalidate()
+    track.on('keyAdded', invalidate)
+    track.on('keyRemoved', invalidate)
+    track.on('keyChanged', invalidate)
+    track.on('loaded', () => {
+      this.selectedKey = -1
+      this.invalidate()
+    })
+    this.invalidate()
+  }
+
+  getGroup() {
+    return channelGroups[this.groupSelect.value]
+  }
+
+  // Resamples the curves, e.g. after the keys change.
+  invalidate() {
+    this.samples = null
+    this.draw()
+  }
+
+  sampleCurves() {
+    const group = this.getGroup()
+    const range = this.__timeParam.getRange()
+    const width = this.canvas.width - padding * 2
+    this.samples = []
+    for (let i = 0; i <= width; i += 2) {
+      const time = range[0] + (i / width) * (range[1] - range[0])
+      this.samples.push({ time, values: group.getValues(this.__track.evaluate(time)) })
+    }
+    this.keyValues = this.__track.keys.map((key) => group.getValues(key.value))
+    if (!this.drag) this.valueRange = this.computeValueRange()
+  }
+
+  computeValueRange() {
+    let min = Number.POSITIVE_INFINITY
+    let max = Number.NEGATIVE_INFINITY
+    this.samples.forEach((sample) => {
+      sample.values.forEach((value) => {
+        min = Math.min(min, value)
+        max = Math.max(max, value)
+      })
+    })
+    if (min > max) return [-1, 1]
+    const margin = Math.max((max - min) * 0.1, 0.01)
+    return [min - margin, max + margin]
+  }
+
+  toX(time) {
+    const range = this.__timeParam.getRange()
+    return padding + ((time - range[0]) / (range[1] - range[0])) * (this.canvas.width - padding * 2)
+  }
+
+  fromX(x) {
+    const range = this.__timeParam.getRange()
+    return range[0] + ((x - padding) / (this.canvas.width - padding * 2)) * (range[1] - range[0])
+  }
+
+  toY(value) {
+    const [min, max] = this.valueRange
+    return this.canvas.height - padding - ((value - min) / (max - min)) * (this.canvas.height - padding * 2)
+  }
+
+  fromY(y) {
+    const [min, max] = this.valueRange
+    return min + ((this.canvas.height - padding - y) / (this.canvas.height - padding * 2)) * (max - min)
+  }
+
+  // Returns the positions of the handles of the selected key, in the selected channel.
+  getHandlePositions() {
+    const index = this.selectedKey
+    if (index == -1 || index >= this.__track.getNumKeys() - 1) return null
+    const handles = getHandles(this.__track.getKeyInterpolation(index))
+    if (!handles) return null
+    const t0 = this.__track.getKeyTime(index)
+    const t1 = this.__track.getKeyTime(index + 1)
+    const v0 = this.keyValues[index][this.selectedChannel]
+    const v1 = this.keyValues[index + 1][this.selectedChannel]
+    return [
+      { x: this.toX(t0 + handles[0] * (t1 - t0)), y: this.toY(v0 + handles[1] * (v1 - v0)) },
+      { x: this.toX(t0 + handles[2] * (t1 - t0)), y: this.toY(v0 + handles[3] * (v1 - v0)) },
+    ]
+  }
+
+  draw() {
+    if (!this.__timeParam || !this.__track) return
+    if (this.canvas.width != this.clientWidth && this.clientWidth > 0) {
+      this.canvas.width = this.clientWidth
+      this.samples = null
+    }
+    if (!this.samples) this.sampleCurves()
+
+    const group = this.getGroup()
+    while (this.legend.firstChild) this.legend.removeChild(this.legend.firstChild)
+    group.labels.forEach((label, channel) => {
+      const span = document.createElement('span')
+      span.style.color = colors[channel]
+      span.textContent = label
+      this.legend.appendChild(span)
+    })
+
+    const context = this.canvas.getContext('2d')
+    context.clearRect(0, 0, this.canvas.width, this.canvas.height)
+
+    if (this.valueRange[0] < 0 && this.valueRange[1] > 0) {
+      context.strokeStyle = '#545454'
+      context.beginPath()
+      context.moveTo(padding, this.toY(0))
+      context.lineTo(this.canvas.width - padding, this.toY(0))
+      context.stroke()
+    }
+
+    if (this.__track.getNumKeys() > 0) {
+      group.labels.forEach((label, channel) => {
+        context.strokeStyle = colors[channel]
+        context.beginPath()
+        this.samples.forEach((sample, index) => {
+          const x = this.toX(sample.time)
+          const y = this.toY(sample.values[channel])
+          if (index == 0) context.moveTo(x, y)
+          else context.lineTo(x, y)
+        })
+        context.stroke()
+
+        this.keyValues.forEach((values, index) => {
+          const selected = index == this.selectedKey && channel == this.selectedChannel
+          context.fillStyle = selected ? '#f9ce03' : colors[channel]
+          const x = this.toX(this.__track.getKeyTime(index))
+          const y = this.toY(values[channel])
+          context.fillRect(x - 3, y - 3, 6, 6)
+        })
+      })
+    }
+
+    const handles = this.getHandlePositions()
+    if (handles) {
+      const index = this.selectedKey
+      const ends = [index, index + 1].map((keyIndex) => ({
+        x: this.toX(this.__track.getKeyTime(keyIndex)),
+        y: this.toY(this.keyValues[keyIndex][this.selectedChannel]),
+      }))
+      context.strokeStyle = '#f9ce03'
+      context.fillStyle = '#f9ce03'
+      handles.forEach((handle, handleIndex) => {
+        context.beginPath()
+        context.moveTo(ends[handleIndex].x, ends[handleIndex].y)
+        context.lineTo(handle.x, handle.y)
+        context.stroke()
+        context.beginPath()
+        context.arc(handle.x, handle.y, 3, 0, Math.PI * 2)
+        context.fill()
+      })
+    }
+
+    const timeX = this.toX(this.__timeParam.getValue())
+    context.strokeStyle = 'rgba(255, 0, 0, 0.5)'
+    context.beginPath()
+    context.moveTo(timeX, 0)
+    context.lineTo(timeX, this.canvas.height)
+    context.stroke()
+  }
+
+  pick(x, y) {
+    const handles = this.getHandlePositions()
+    if (handles) {
+      const handleIndex = handles.findIndex((handle) => Math.hypot(handle.x - x, handle.y - y) < pickDistance)
+      if (handleIndex != -1) return { type: 'handle', handleIndex }
+    }
+    for (let index = 0; index < this.keyValues.length; index++) {
+      const keyX = this.toX(this.__track.getKeyTime(index))
+      for (let channel = 0; channel < this.keyValues[index].length; channel++) {
+        if (Math.hypot(keyX - x, this.toY(this.keyValues[index][channel]) - y) < pickDistance) {
+          return { type: 'key', index, channel }
+        }
+      }
+    }
+    return null
+  }
+
+  onMouseDown(event) {
+    if (!this.__track || !this.samples) return
+    event.preventDefault()
+    const picked = this.pick(event.offsetX, event.offsetY)
+    if (!picked) {
+      this.__timeParam.setValue(Math.round(this.fromX(event.offsetX)))
+      return
+    }
+
+    const track = this.__track
+    if (picked.type == 'key') {
+      this.selectedKey = picked.index
+      this.selectedChannel = picked.channel
+    }
+    const index = this.selectedKey
+    const time = track.getKeyTime(index)
+    const prevValue = track.getKeyValue(index)
+    const prevInterpolation = track.getKeyInterpolation(index)
+    const group = this.getGroup()
+    let value
+    let interpolation
+
+    // The keys are updated while dragging, and the edit is recorded as a single change when the mouse is released.
+    this.drag = picked
+    const onMouseMove = (event) => {
+      const rect = this.canvas.getBoundingClientRect()
+      const x = event.clientX - rect.left
+      const y = event.clientY - rect.top
+      if (picked.type == 'key') {
+        value = group.setValue(prevValue, this.selectedChannel, this.fromY(y))
+        track.setKeyValue(index, value)
+      } else {
+        const t0 = time
+        const t1 = track.getKeyTime(index + 1)
+        const v0 = this.keyValues[index][this.selectedChannel]
+        const v1 = this.keyValues[index + 1][this.selectedChannel]
+        const bezier = getHandles(track.getKeyInterpolation(index)).slice()
+        const offset = picked.handleIndex * 2
+        bezier[offset] = MathFunctions.clamp((this.fromX(x) - t0) / (t1 - t0), 0, 1)
+        if (Math.abs(v1 - v0) > 1e-6) bezier[offset + 1] = (this.fromY(y) - v0) / (v1 - v0)
+        interpolation = { mode: 'bezier', bezier }
+        track.setKeyInterpolation(index, interpolation)
+      }
+    }
+    const onMouseUp = () => {
+      document.removeEventListener('mousemove', onMouseMove)
+      document.removeEventListener('mouseup', onMouseUp)
+      this.drag = null
+      if (value) {
+        track.setKeyValue(index, prevValue)
+        UndoRedoManager.getInstance().addChange(new SetKeyChange(track, time, value))
+      } else if (interpolation) {
+        track.setKeyInterpolation(index, prevInterpolation)
+        UndoRedoManager.getInstance().addChange(new SetKeyInterpolationChange(track, time, interpolation))
+      } else {
+        this.invalidate()
+      }
+    }
+    document.addEventListener('mousemove', onMouseMove)
+    document.addEventListener('mouseup', onMouseUp)
+    this.draw()
+  }
+}
+
+customElements.define('zea-curve-editor', ZeaCurveEditor)
@@ -0,0 +1,189 @@
+import { getJointAngles } from './kinematics.js'
+import { ZeaPanel } from './zea-panel.js'
+
+// Joints within this fraction of their range from a limit are shown as close to it.
+const warningProximity = 0.15
+const dangerProximity = 0.05
+
+// Lists the robot's joints with their current angle, speed and how close they are to their limits.
+// While the robot is posed in joint space, the sliders pose the joints directly, dispatching 'poseChanged'
+// with the angles so they can be applied and keyed.
+export class ZeaJointInspector extends ZeaPanel {
+  constructor() {
+    super(
+      'Joints',
+      `
+    .joint {
+      padding: 3px 5px;
+    }
+    .values {
+      display: flex;
+      justify-content: space-between;
+    }
+    .name {
+      width: 60px;
+    }
+    .angle, .speed {
+      width: 70px;
+      text-align: right;
+    }
+    input {
+      width: 100%;
+      margin: 2px 0px;
+    }
+    .bar {
+      position: relative;
+      height: 4px;
+      background-color: var(--color-grey-2, #393939);
+    }
+    .fill {
+      position: absolute;
+      top: 0px;
+      width: 4px;
+      height: 100%;
+      margin-left: -2px;
+      background-color: #2fb344;
+    }
+    .fill.warning {
+      background-color: #f28c28;
+    }
+    .speed.danger {
+      color: #e52011;
+    }
+    .fill.danger {
+      background-color: #e52011;
+    }
+    .limits {
+      display: flex;
+      justify-content: space-between;
+      color: var(--color-grey-3, #999);
+      font-size: 10px;
+    }
+`
+    )
+
+    this.list = document.createElement('div')
+    this.shadowRoot.appendChild(this.list)
+
+    this.rows = []
+    this.__posable = false
+    this.prevAngles = null
+    this.prevTime = null
+  }
+
+  // The robot's joints are only known once its model has loaded, so they are read on each update.
+  set robot(robot) {
+    this.__robot = robot
+    this.update()
+  }
+
+  set timeParam(timeParam) {
+    this.__timeParam = timeParam
+  }
+
+  // Refreshes the readouts each time the viewport is redrawn, so they follow the IK solver and playback.
+  set renderer(renderer) {
+    renderer.on('redrawOccured', () => this.update())
+  }
+
+  // Whether the sliders can pose the robot, which they can't while it follows the IK target.
+  set posable(value) {
+    this.__posable = value
+    this.rows.forEach((row) => (row.slider.disabled = !value))
+  }
+
+  buildRows(joints) {
+    while (this.list.firstChild) this.list.removeChild(this.list.firstChild)
+    this.rows = joints.map((joint, index) => {
+      const div = document.createElement('div')
+      div.classList.add('joint')
+
+      const values = document.createElement('div')
+      values.classList.add('values')
+      const addValue = (className, text = '') => {
+        const span = document.createElement('span')
+        span.classList.add(className)
+        span.textContent = text
+        values.appendChild(span)
+        return span
+      }
+      addValue('name', joint.name)
+      const angle = addValue('angle')
+      const speed = addValue('speed')
+      div.appendChild(values)
+
+      const slider = document.createElement('input')
+      slider.type = 'range'
+      slider.min = joint.limits[0]
+      slider.max = joint.limits[1]
+      slider.step = 0.1
+      slider.disabled = !this.__posable
+      // The slider is left alone while being dragged, rather than following the pose it sets.
+      const row = { joint, slider, dragging: false }
+      slider.addEventListener('change', () => (row.dragging = false))
+      slider.addEventListener('input', () => {
+        row.dragging = true
+        const angles = getJointAngles(joints)
+        angles[index] = Number(slider.value)
+        this.dispatchEvent(new CustomEvent('poseChanged', { detail: { angles } }))
+      })
+      div.appendChild(slider)
+
+      const bar = document.createElement('div')
+      bar.classList.add('bar')
+      const fill = document.createElement('div')
+      fill.classList.add('fill')
+      bar.appendChild(fill)
+      div.appendChild(bar)
+
+      const limits = document.createElement('div')
+      limits.classList.add('limits')
+      joint.limits.forEach((limit) => {
+        const span = document.createElement('span')
+        span.textContent = `${limit}°`
+        limits.appendChild(span)
+      })
+      div.appendChild(limits)
+
+      this.list.appendChild(div)
+      return Object.assign(row, { angle, speed, fill })
+    })
+  }
+
+  update() {
+    if (!this.__robot) return
+    const { joints } = this.__robot
+    if (joints.length == 0) return
+    if (this.rows.length != joints.length || this.rows.some((row, index) => row.joint != joints[index])) {
+      this.buildRows(joints)
+    }
+
+    const angles = getJointAngles(joints)
+    // Speeds are measured in animation time, so they only change while the time moves.
+    const time = this.__timeParam ? this.__timeParam.getValue() : null
+    const timeChanged = this.prevAngles && time != null && time != this.prevTime
+    this.rows.forEach((row, index) => {
+      const value = angles[index]
+      const [min, max] = row.joint.limits
+      row.angle.textContent = `${value.toFixed(1)}°`
+      if (timeChanged) {
+        const speed = ((value - this.prevAngles[index]) / (time - this.prevTime)) * 1000
+        row.speed.textContent = `${Math.abs(speed).toFixed(1)}°/s`
+        row.speed.classList.toggle('danger', row.joint.maxSpeed > 0 && Math.abs(speed) > row.joint.maxSpeed)
+      }
+      if (!row.dragging) row.slider.value = value
+
+      const fraction = (value - min) / (max - min)
+      const proximity = Math.min(fraction, 1 - fraction)
+      row.fill.style.left = `${Math.min(Math.max(fraction, 0), 1) * 100}%`
+      row.fill.classList.toggle('warning', proximity < warningProximity && proximity >= dangerProximity)
+      row.fill.classList.toggle('danger', proximity < dangerProximity)
+    })
+    if (time != this.prevTime || !this.prevAngles) {
+      this.prevAngles = angles
+      this.prevTime = time
+    }
+  }
+}
+
+customElements.define('zea-joint-inspector', ZeaJointInspector)
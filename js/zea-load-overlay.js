@@ -0,0 +1,98 @@
+const { resourceLoader } = window.zeaEngine
+
+// Lists the assets being loaded over the viewport, with the progress of the engine's downloads,
+// and keeps the reason an asset failed to load on screen until it is dismissed.
+export class ZeaLoadOverlay extends HTMLElement {
+  constructor() {
+    super()
+    const shadowRoot = this.attachShadow({ mode: 'open' })
+
+    this.list = document.createElement('div')
+    shadowRoot.appendChild(this.list)
+
+    this.percent = 0
+    resourceLoader.on('progressIncremented', (event) => {
+      this.percent = event.percent
+      this.list.querySelectorAll('.progress').forEach((bar) => (bar.style.width = `${this.percent}%`))
+    })
+
+    const styleTag = document.createElement('style')
+    styleTag.appendChild(
+      document.createTextNode(`
+
+    :host {
+      position: absolute;
+      left: 10px;
+      top: 10px;
+      width: 320px;
+      font-size: 12px;
+      text-align: left;
+      pointer-events: none;
+    }
+    .load {
+      position: relative;
+      margin-top: 5px;
+      padding: 5px;
+      color: var(--color-foreground-1, #e0e0e0);
+      background-color: rgba(45, 45, 45, 0.85);
+      border: 1px solid #545454;
+      overflow: hidden;
+      pointer-events: auto;
+    }
+    .load.failed {
+      border-color: var(--color-warning-2, #ef7970);
+    }
+    .message {
+      color: var(--color-warning-2, #ef7970);
+      word-break: break-word;
+    }
+    .progress {
+      position: absolute;
+      left: 0px;
+      bottom: 0px;
+      height: 2px;
+      background-color: var(--color-secondary-1, #f9ce03);
+    }
+    .dismiss {
+      float: right;
+      cursor: pointer;
+    }
+`)
+    )
+    shadowRoot.appendChild(styleTag)
+  }
+
+  // Shows the asset until the promise resolves, or its error if it rejects.
+  // Returns the promise, so the error can still be handled.
+  track(name, promise) {
+    const row = document.createElement('div')
+    row.classList.add('load')
+    row.textContent = `Loading ${name}`
+    const bar = document.createElement('div')
+    bar.classList.add('progress')
+    bar.style.width = `${this.percent}%`
+    row.appendChild(bar)
+    this.list.appendChild(row)
+
+    promise.then(
+      () => row.remove(),
+      (error) => {
+        row.textContent = `Unable to load ${name}`
+        row.classList.add('failed')
+        const dismiss = document.createElement('span')
+        dismiss.classList.add('dismiss')
+        dismiss.textContent = '✕'
+        dismiss.title = 'Dismiss'
+        dismiss.addEventListener('click', () => row.remove())
+        row.prepend(dismiss)
+        const message = document.createElement('div')
+        message.classList.add('message')
+        message.textContent = (error && error.message) || String(error)
+        row.appendChild(message)
+      }
+    )
+    return promise
+  }
+}
+
+customElements.define('zea-load-overlay', ZeaLoadOverlay)
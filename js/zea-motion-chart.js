@@ -0,0 +1,201 @@
+import { ZeaPanel } from './zea-panel.js'
+
+const colors = ['#e52011', '#2fb344', '#3f7ee8', '#f9ce03', '#c64ce0', '#2cc6c6']
+const padding = 10
+
+const formatTime = (time) => `${(time / 1000).toFixed(2)}s`
+
+// The quantities that can be plotted, read from the joints returned by analyzeMotion.
+const quantities = {
+  Velocity: { name: 'speed', values: 'velocities', limit: 'maxSpeed', units: '°/s' },
+  Acceleration: { name: 'acceleration', values: 'accelerations', limit: 'maxAcceleration', units: '°/s²' },
+}
+
+// Plots each joint's velocity or acceleration over time, as measured by analyzeMotion, with the joint's limits
+// drawn as dashed lines, or a note if the rig has none. The header shows the cycle time. The playhead follows
+// the time, and clicking on the plot moves the time.
+export class ZeaMotionChart extends ZeaPanel {
+  constructor() {
+    super(
+      '',
+      `
+    select {
+      float: right;
+      font-size: 11px;
+    }
+    .legend {
+      padding: 3px 5px;
+    }
+    .legend span {
+      margin-right: 10px;
+    }
+    .legend .over {
+      text-decoration: underline wavy;
+    }
+    .legend .note {
+      color: #a0a0a0;
+    }
+    canvas {
+      display: block;
+      cursor: crosshair;
+    }
+`
+    )
+
+    this.summary = document.createElement('span')
+    this.summary.textContent = 'Motion'
+    this.header.appendChild(this.summary)
+
+    this.quantitySelect = document.createElement('select')
+    Object.keys(quantities).forEach((name) => {
+      const option = document.createElement('option')
+      option.textContent = name
+      this.quantitySelect.appendChild(option)
+    })
+    this.quantitySelect.addEventListener('change', () => this.draw())
+    this.header.appendChild(this.quantitySelect)
+
+    this.legend = document.createElement('div')
+    this.legend.classList.add('legend')
+    this.shadowRoot.appendChild(this.legend)
+
+    this.canvas = document.createElement('canvas')
+    this.canvas.height = 150
+    this.shadowRoot.appendChild(this.canvas)
+
+    this.canvas.addEventListener('mousedown', (event) => {
+      if (!this.__motion || !this.__timeParam) return
+      event.preventDefault()
+      this.__timeParam.setValue(Math.round(this.fromX(event.offsetX)))
+    })
+    new ResizeObserver(() => this.draw()).observe(this)
+  }
+
+  set timeParam(timeParam) {
+    this.__timeParam = timeParam
+    timeParam.on('valueChanged', () => this.draw())
+  }
+
+  // Takes the results of analyzeMotion, or null to clear the chart.
+  set motion(motion) {
+    this.__motion = motion
+    if (motion) {
+      const { cycleTime, movingTime } = motion
+      this.summary.textContent = `Motion: cycle ${formatTime(cycleTime)}, moving ${formatTime(movingTime)}`
+    } else {
+      this.summary.textContent = 'Motion'
+    }
+    this.draw()
+  }
+
+  getQuantity() {
+    return quantities[this.quantitySelect.value]
+  }
+
+  toX(time) {
+    const { times } = this.__motion
+    const start = times[0]
+    const end = times[times.length - 1]
+    return padding + ((time - start) / (end - start || 1)) * (this.canvas.width - padding * 2)
+  }
+
+  fromX(x) {
+    const { times } = this.__motion
+    const start = times[0]
+    const end = times[times.length - 1]
+    return start + ((x - padding) / (this.canvas.width - padding * 2)) * (end - start)
+  }
+
+  toY(value) {
+    const [min, max] = this.valueRange
+    return this.canvas.height - padding - ((value - min) / (max - min)) * (this.canvas.height - padding * 2)
+  }
+
+  // The range covers the plotted values and the limits, so it's clear how much headroom is left.
+  computeValueRange() {
+    const quantity = this.getQuantity()
+    let extent = 0
+    this.__motion.joints.forEach((joint) => {
+      extent = Math.max(extent, joint[quantity.limit] || 0)
+      joint[quantity.values].forEach((value) => (extent = Math.max(extent, Math.abs(value))))
+    })
+    extent = Math.max(extent * 1.1, 1)
+    return [-extent, extent]
+  }
+
+  updateLegend() {
+    while (this.legend.firstChild) this.legend.removeChild(this.legend.firstChild)
+    if (!this.__motion) return
+    const quantity = this.getQuantity()
+    const peakKey = quantity == quantities.Velocity ? 'peakSpeed' : 'peakAcceleration'
+    this.__motion.joints.forEach((joint, index) => {
+      const span = document.createElement('span')
+      span.style.color = colors[index % colors.length]
+      span.textContent = joint.name
+      const limit = joint[quantity.limit]
+      span.title = `Peak ${joint[peakKey].toFixed(1)}${quantity.units}`
+      if (limit) span.title += ` of ${limit}${quantity.units}`
+      if (limit && joint[peakKey] > limit) span.classList.add('over')
+      this.legend.appendChild(span)
+    })
+    if (!this.__motion.joints.some((joint) => joint[quantity.limit])) {
+      const note = document.createElement('span')
+      note.classList.add('note')
+      note.textContent = `No ${quantity.name} limits are configured in the rig.`
+      this.legend.appendChild(note)
+    }
+  }
+
+  draw() {
+    this.updateLegend()
+    if (this.canvas.width != this.clientWidth && this.clientWidth > 0) this.canvas.width = this.clientWidth
+    const context = this.canvas.getContext('2d')
+    context.clearRect(0, 0, this.canvas.width, this.canvas.height)
+    if (!this.__motion || this.__motion.times.length < 2) return
+
+    const quantity = this.getQuantity()
+    const { times, joints } = this.__motion
+    this.valueRange = this.computeValueRange()
+
+    context.strokeStyle = '#545454'
+    context.beginPath()
+    context.moveTo(padding, this.toY(0))
+    context.lineTo(this.canvas.width - padding, this.toY(0))
+    context.stroke()
+
+    joints.forEach((joint, index) => {
+      context.strokeStyle = colors[index % colors.length]
+      const limit = joint[quantity.limit]
+      if (limit) {
+        context.setLineDash([4, 4])
+        context.beginPath()
+        context.moveTo(padding, this.toY(limit))
+        context.lineTo(this.canvas.width - padding, this.toY(limit))
+        context.moveTo(padding, this.toY(-limit))
+        context.lineTo(this.canvas.width - padding, this.toY(-limit))
+        context.stroke()
+        context.setLineDash([])
+      }
+
+      context.beginPath()
+      joint[quantity.values].forEach((value, sample) => {
+        const x = this.toX(times[sample])
+        const y = this.toY(value)
+        if (sample == 0) context.moveTo(x, y)
+        else context.lineTo(x, y)
+      })
+      context.stroke()
+    })
+
+    if (this.__timeParam) {
+      const timeX = this.toX(this.__timeParam.getValue())
+      context.strokeStyle = 'rgba(255, 0, 0, 0.5)'
+      context.beginPath()
+      context.moveTo(timeX, 0)
+      context.lineTo(timeX, this.canvas.height)
+      context.stroke()
+    }
+  }
+}
+
+customElements.define('zea-motion-chart', ZeaMotionChart)
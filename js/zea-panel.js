@@ -0,0 +1,46 @@
+// The base of the app's panels: a shadow root with a header showing the title, the styles the panels share,
+// with the panel's own styles after them, and a helper to add buttons that alert the errors they throw.
+export class ZeaPanel extends HTMLElement {
+  constructor(title, css) {
+    super()
+    const shadowRoot = this.attachShadow({ mode: 'open' })
+
+    const styleTag = document.createElement('style')
+    styleTag.appendChild(
+      document.createTextNode(`
+
+    :host {
+      display: block;
+      color: var(--color-foreground-1, #e0e0e0);
+      font-size: 12px;
+      text-align: left;
+    }
+    .header {
+      padding: 5px;
+      font-weight: bold;
+      border-bottom: 1px solid #545454;
+    }
+${css}`)
+    )
+    shadowRoot.appendChild(styleTag)
+
+    this.header = document.createElement('div')
+    this.header.classList.add('header')
+    this.header.textContent = title
+    shadowRoot.appendChild(this.header)
+  }
+
+  addButton(parent, label, callback) {
+    const button = document.createElement('button')
+    button.textContent = label
+    button.addEventListener('click', () => {
+      try {
+        callback()
+      } catch (error) {
+        alert(error.message)
+      }
+    })
+    parent.appendChild(button)
+    return button
+  }
+}
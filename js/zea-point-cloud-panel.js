@@ -0,0 +1,189 @@
+const { Vec3 } = window.zeaEngine
+import { colorModes } from './pointCloudDisplay.js'
+import { ZeaPanel } from './zea-panel.js'
+
+const colorModeLabels = { rgb: 'RGB', intensity: 'Intensity', elevation: 'Elevation' }
+
+// Clip box sizes are entered as x, y, z in m.
+const formatSize = (size) => [size.x, size.y, size.z].map((value) => Number(value.toFixed(3))).join(', ')
+
+const parseSize = (text) => {
+  const values = text.split(',').map(Number)
+  if (values.length != 3 || values.some(isNaN)) throw new Error('Enter 3 numbers: x, y, z (m)')
+  return new Vec3(values[0], values[1], values[2])
+}
+
+// Sets the point budget, the size and color of the points, and lists the clip boxes cutting the point cloud
+// down to the work cell, which can be switched off, resized, or moved with the handles.
+// Emits 'moveClipBox', with the clip box in its detail, for the app to show the handles.
+export class ZeaPointCloudPanel extends ZeaPanel {
+  constructor() {
+    super(
+      'Point Cloud Display',
+      `
+    .status {
+      padding: 3px 5px;
+      color: var(--color-grey-3, #999);
+    }
+    .status.failed {
+      color: var(--color-warning-2, #ef7970);
+    }
+    .setting {
+      display: block;
+      padding: 3px 5px;
+    }
+    .setting input,
+    .setting select {
+      float: right;
+      width: 90px;
+    }
+    .setting.ignored {
+      color: var(--color-grey-3, #999);
+    }
+    .notes {
+      padding: 0 5px;
+      color: var(--color-grey-3, #999);
+    }
+    .box {
+      padding: 3px 5px;
+    }
+    .box span {
+      float: right;
+      margin-left: 5px;
+      cursor: pointer;
+    }
+    .box span:hover {
+      color: var(--color-secondary-1, #f9ce03);
+    }
+    .buttons {
+      padding: 3px 5px;
+    }
+`
+    )
+
+    this.status = document.createElement('div')
+    this.status.classList.add('status')
+    this.shadowRoot.appendChild(this.status)
+
+    const settings = document.createElement('div')
+    this.shadowRoot.appendChild(settings)
+    this.rows = {}
+    this.inputs = {}
+    const addSetting = (name, label, input) => {
+      const row = document.createElement('label')
+      row.classList.add('setting')
+      row.textContent = label
+      row.appendChild(input)
+      settings.appendChild(row)
+      this.rows[name] = row
+      input.addEventListener('change', () => {
+        try {
+          this.__display.set(name, input.type == 'number' ? Number(input.value) : input.value)
+        } catch (error) {
+          alert(error.message)
+          this.update()
+        }
+      })
+      this.inputs[name] = input
+    }
+    const numberInput = (step) => {
+      const input = document.createElement('input')
+      input.type = 'number'
+      input.min = 0
+      input.step = step
+      return input
+    }
+    addSetting('budget', 'Point Budget', numberInput(50000))
+    addSetting('size', 'Point Size', numberInput(0.1))
+    addSetting('attenuation', 'Size Attenuation', numberInput(0.1))
+    const select = document.createElement('select')
+    colorModes.forEach((mode) => {
+      const option = document.createElement('option')
+      option.value = mode
+      option.textContent = colorModeLabels[mode]
+      select.appendChild(option)
+    })
+    addSetting('colorMode', 'Color', select)
+
+    // Says which settings are ignored, and why.
+    this.notes = document.createElement('div')
+    this.notes.classList.add('notes')
+    this.shadowRoot.appendChild(this.notes)
+
+    this.list = document.createElement('div')
+    this.shadowRoot.appendChild(this.list)
+
+    const buttons = document.createElement('div')
+    buttons.classList.add('buttons')
+    this.shadowRoot.appendChild(buttons)
+    this.addButton(buttons, 'Add Clip Box', () => {
+      const item = this.__display.addClipBox()
+      this.dispatchEvent(new CustomEvent('moveClipBox', { detail: { item } }))
+    })
+  }
+
+  set display(display) {
+    this.__display = display
+    display.on('changed', () => this.update())
+    display.on('statusChanged', () => this.update())
+    this.update()
+  }
+
+  update() {
+    const display = this.__display
+    const status = display.getStatus()
+    this.status.classList.toggle('failed', !!status.error)
+    if (status.error) this.status.textContent = status.error
+    else if (!status.cropped) this.status.textContent = 'Showing the whole point cloud'
+    else if (status.loading) this.status.textContent = 'Cropping the point cloud…'
+    else this.status.textContent = `Showing ${status.count.toLocaleString()} points`
+
+    // The setting being edited is left alone.
+    const settings = display.getSettings()
+    Object.keys(this.inputs).forEach((name) => {
+      const input = this.inputs[name]
+      if (this.shadowRoot.activeElement != input) input.value = settings[name]
+      this.rows[name].classList.toggle('ignored', name in status.ignored)
+      this.rows[name].title = status.ignored[name] || ''
+    })
+    this.notes.textContent = Object.values(status.ignored).join(' ')
+
+    while (this.list.firstChild) this.list.removeChild(this.list.firstChild)
+    display.getClipBoxes().forEach((item) => {
+      const row = document.createElement('div')
+      row.classList.add('box')
+      const checkbox = document.createElement('input')
+      checkbox.type = 'checkbox'
+      checkbox.checked = item.getParameter('Visible').getValue()
+      checkbox.title = 'Clip the point cloud to this box'
+      checkbox.addEventListener('change', () => display.setClipBoxEnabled(item, checkbox.checked))
+      row.appendChild(checkbox)
+      row.appendChild(document.createTextNode(item.getName()))
+
+      const addAction = (label, title, callback) => {
+        const action = document.createElement('span')
+        action.textContent = label
+        action.title = title
+        action.addEventListener('click', () => {
+          try {
+            callback()
+          } catch (error) {
+            alert(error.message)
+          }
+        })
+        row.appendChild(action)
+      }
+      addAction('✕', 'Remove', () => display.removeClipBox(item))
+      addAction('Size', 'Size x, y, z (m)', () => {
+        const text = prompt('Clip box size: x, y, z (m)', formatSize(display.getClipBoxSize(item)))
+        if (text != null) display.setClipBoxSize(item, parseSize(text))
+      })
+      addAction('Move', 'Move with the handles', () => {
+        this.dispatchEvent(new CustomEvent('moveClipBox', { detail: { item } }))
+      })
+      this.list.appendChild(row)
+    })
+  }
+}
+
+customElements.define('zea-point-cloud-panel', ZeaPointCloudPanel)
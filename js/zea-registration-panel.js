@@ -0,0 +1,92 @@
+import { ZeaPanel } from './zea-panel.js'
+
+const formatDistance = (distance) => `${(distance * 1000).toFixed(1)} mm`
+
+// Lists the pairs of points picked to align the point cloud with the cell, with the distance left between each pair,
+// and steps through picking them and fitting the cloud to them.
+export class ZeaRegistrationPanel extends ZeaPanel {
+  constructor() {
+    super(
+      'Point Cloud Registration',
+      `
+    .status {
+      padding: 3px 5px;
+      color: var(--color-grey-3, #999);
+    }
+    .status.missed {
+      color: var(--color-warning-2, #ef7970);
+    }
+    .pair {
+      padding: 3px 5px;
+    }
+    .distance {
+      float: right;
+    }
+    .buttons {
+      padding: 3px 5px;
+    }
+`
+    )
+
+    this.status = document.createElement('div')
+    this.status.classList.add('status')
+    this.shadowRoot.appendChild(this.status)
+
+    this.list = document.createElement('div')
+    this.shadowRoot.appendChild(this.list)
+
+    const buttons = document.createElement('div')
+    buttons.classList.add('buttons')
+    this.shadowRoot.appendChild(buttons)
+    this.pickButton = this.addButton(buttons, 'Pick', () => {
+      const registration = this.__registration
+      if (registration.isPicking()) registration.stopPicking()
+      else registration.startPicking()
+    })
+    this.addButton(buttons, 'Undo Pick', () => this.__registration.removeLastPick())
+    this.addButton(buttons, 'Clear', () => this.__registration.clear())
+    this.fitButton = this.addButton(buttons, 'Fit', () => this.__registration.fit())
+  }
+
+  set registration(registration) {
+    this.__registration = registration
+    registration.on('changed', () => this.update())
+    registration.on('missed', ({ message }) => {
+      this.status.textContent = message
+      this.status.classList.add('missed')
+    })
+    this.update()
+  }
+
+  update() {
+    const registration = this.__registration
+    const pairs = registration.getPairs()
+    const complete = pairs.filter((pair) => pair.cell)
+
+    this.status.classList.remove('missed')
+    if (!registration.isPicking()) {
+      const error = registration.getError()
+      this.status.textContent = error == null ? 'Pick pairs of matching points' : `RMS ${formatDistance(error)}`
+    } else if (registration.getNextPick() == 'cloud') {
+      this.status.textContent = `Click point ${pairs.length + 1} in the point cloud`
+    } else {
+      this.status.textContent = 'Click the matching point on the model or the floor'
+    }
+    this.pickButton.textContent = registration.isPicking() ? 'Stop' : 'Pick'
+    this.fitButton.disabled = complete.length < 3
+
+    while (this.list.firstChild) this.list.removeChild(this.list.firstChild)
+    pairs.forEach((pair, index) => {
+      const row = document.createElement('div')
+      row.classList.add('pair')
+      row.textContent = `Pair ${index + 1}`
+      const distance = document.createElement('span')
+      distance.classList.add('distance')
+      distance.textContent = pair.cell ? formatDistance(pair.distance) : 'Cloud point only'
+      row.appendChild(distance)
+      this.list.appendChild(row)
+    })
+  }
+}
+
+customElements.define('zea-registration-panel', ZeaRegistrationPanel)
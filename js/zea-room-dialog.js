@@ -0,0 +1,135 @@
+import { ZeaPanel } from './zea-panel.js'
+
+// A dialog to enter the user's name, and to create, join or leave a room.
+// The link to the room can be copied and sent to the people to work with.
+export class ZeaRoomDialog extends ZeaPanel {
+  constructor() {
+    super(
+      'Room',
+      `
+    dialog {
+      width: 420px;
+      padding: 0px 0px 5px 0px;
+      color: var(--color-foreground-1, #e0e0e0);
+      background-color: var(--color-background-3, #2d2d2d);
+      border: 1px solid #545454;
+    }
+    .row {
+      display: flex;
+      align-items: center;
+      padding: 3px 5px;
+    }
+    .row > span:first-child {
+      width: 50px;
+    }
+    .row input {
+      flex: 1;
+      min-width: 0px;
+      margin-right: 3px;
+    }
+    .status {
+      padding: 3px 5px;
+      color: var(--color-foreground-2, #aaaaaa);
+    }
+    .status.offline {
+      color: var(--color-warning-2, #ef7970);
+    }
+    .buttons {
+      padding: 3px 5px;
+      text-align: right;
+    }
+`
+    )
+
+    // The header is shown in the dialog, with the rest of its content.
+    this.dialog = document.createElement('dialog')
+    this.dialog.appendChild(this.header)
+    this.shadowRoot.appendChild(this.dialog)
+
+    const addRow = (label) => {
+      const row = document.createElement('div')
+      row.classList.add('row')
+      const span = document.createElement('span')
+      span.textContent = label
+      row.appendChild(span)
+      this.dialog.appendChild(row)
+      return row
+    }
+    const addInput = (parent, placeholder) => {
+      const input = document.createElement('input')
+      input.placeholder = placeholder
+      // Typing in the dialog mustn't trigger the menu's hotkeys.
+      input.addEventListener('keydown', (event) => event.stopPropagation())
+      parent.appendChild(input)
+      return input
+    }
+    const nameRow = addRow('Name')
+    this.givenName = addInput(nameRow, 'First name')
+    this.familyName = addInput(nameRow, 'Last name')
+
+    const roomRow = addRow('Room')
+    this.roomInput = addInput(roomRow, 'Room name')
+    this.roomInput.addEventListener('input', () => this.updateLink())
+    this.addButton(roomRow, 'New', () => {
+      this.roomInput.value = this.__rooms.makeRoomId()
+      this.updateLink()
+    })
+
+    const linkRow = addRow('Link')
+    this.linkInput = addInput(linkRow, 'Link to share')
+    this.linkInput.readOnly = true
+    this.addButton(linkRow, 'Copy', () => {
+      this.linkInput.select()
+      navigator.clipboard.writeText(this.linkInput.value).catch(() => document.execCommand('copy'))
+    })
+
+    this.status = document.createElement('div')
+    this.status.classList.add('status')
+    this.dialog.appendChild(this.status)
+
+    const buttons = document.createElement('div')
+    buttons.classList.add('buttons')
+    this.dialog.appendChild(buttons)
+    this.joinButton = this.addButton(buttons, 'Join', () => {
+      this.__rooms.setUserName(this.givenName.value.trim(), this.familyName.value.trim())
+      this.__rooms.join(this.roomInput.value.trim())
+      this.dialog.close()
+    })
+    this.leaveButton = this.addButton(buttons, 'Leave', () => this.__rooms.leave())
+    this.addButton(buttons, 'Close', () => this.dialog.close())
+  }
+
+  set rooms(rooms) {
+    this.__rooms = rooms
+    rooms.on('statusChanged', () => this.update())
+    this.update()
+  }
+
+  // Opens the dialog, with the given room filled in, e.g. from a link, or the current room.
+  open(roomId) {
+    const rooms = this.__rooms
+    const userData = rooms.getUserData()
+    this.givenName.value = userData.given_name
+    this.familyName.value = userData.family_name
+    this.roomInput.value = roomId || rooms.getRoomId() || ''
+    this.updateLink()
+    this.update()
+    this.dialog.showModal()
+    if (!userData.given_name) this.givenName.focus()
+  }
+
+  updateLink() {
+    const roomId = this.roomInput.value.trim()
+    this.linkInput.value = roomId ? this.__rooms.getShareLink(roomId) : ''
+  }
+
+  update() {
+    const { status, message } = this.__rooms.getStatus()
+    this.status.textContent = message
+    this.status.classList.toggle('offline', status == 'offline')
+    this.joinButton.disabled = status == 'offline' || status == 'loading'
+    this.leaveButton.disabled = !this.__rooms.getRoomId()
+  }
+}
+
+customElements.define('zea-room-dialog', ZeaRoomDialog)
@@ -0,0 +1,77 @@
+import { ZeaPanel } from './zea-panel.js'
+
+const formatTime = (time) => {
+  const date = new Date(time)
+  const today = new Date().toDateString() == date.toDateString()
+  return today ? date.toLocaleTimeString() : date.toLocaleString()
+}
+
+// Lists the snapshots autosaved in the browser, newest first. Clicking on a snapshot goes back to it.
+// Says so when snapshots can't be saved or listed.
+export class ZeaSnapshotBrowser extends ZeaPanel {
+  constructor() {
+    super(
+      'Snapshots',
+      `
+    .status {
+      color: #e52011;
+      padding: 0 5px;
+    }
+    .snapshot {
+      padding: 3px 5px;
+      cursor: pointer;
+    }
+    .snapshot:hover {
+      background-color: var(--color-grey-2, #393939);
+    }
+    .time {
+      color: var(--color-grey-3, #999);
+      float: right;
+    }
+`
+    )
+
+    this.status = document.createElement('div')
+    this.status.classList.add('status')
+    this.shadowRoot.appendChild(this.status)
+
+    this.list = document.createElement('div')
+    this.shadowRoot.appendChild(this.list)
+  }
+
+  set autosave(autosave) {
+    this.__autosave = autosave
+    autosave.on('changed', () => this.update())
+    this.update()
+  }
+
+  update() {
+    const autosave = this.__autosave
+    const error = autosave.getError()
+    this.status.textContent = error ? `Unable to save a snapshot: ${error.message}` : ''
+    autosave
+      .getSnapshots()
+      .then((snapshots) => {
+        while (this.list.firstChild) this.list.removeChild(this.list.firstChild)
+        snapshots.forEach((snapshot) => {
+          const row = document.createElement('div')
+          row.classList.add('snapshot')
+          row.textContent = `${snapshot.reason}: ${snapshot.filename}`
+
+          const time = document.createElement('span')
+          time.classList.add('time')
+          time.textContent = formatTime(snapshot.time)
+          row.appendChild(time)
+
+          row.addEventListener('click', () => {
+            if (!confirm(`Go back to the snapshot from ${formatTime(snapshot.time)}?`)) return
+            autosave.restore(snapshot.id).catch((error) => alert(error.message))
+          })
+          this.list.appendChild(row)
+        })
+      })
+      .catch((error) => (this.status.textContent = `Unable to list the snapshots: ${error.message}`))
+  }
+}
+
+customElements.define('zea-snapshot-browser', ZeaSnapshotBrowser)
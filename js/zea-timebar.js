@@ -1,6 +1,16 @@
 const { MathFunctions } = window.zeaEngine;
-const { RemoveKeyChange } = window.zeaKinematics;
 const { UndoRedoManager } = window.zeaUx;
+import {
+  findKeyAtTime,
+  cloneKeyValue,
+  moveKeys,
+  SetKeyChange,
+  SetKeyInterpolationChange,
+  DeleteKeyChange,
+  CompoundChange,
+} from './TrackChanges.js';
+import { interpolationModes, defaultBezier, describeInterpolation } from './interpolation.js';
+import { describePath } from './paths.js';
 
 export class ZeaTimeBar extends HTMLElement {
   constructor() {
@@ -11,15 +21,172 @@ export class ZeaTimeBar extends HTMLElement {
     this.timeline.id = 'timeline';
     shadowRoot.appendChild(this.timeline);
 
+    // The visible window of time. The mouse wheel zooms it, and shift+wheel pans it.
+    this.view = [0, 1];
+    this.units = 'seconds';
+    this.frameRate = 50;
+    this.snap = false;
+
+    this.ruler = document.createElement('div');
+    this.ruler.id = 'ruler';
+    this.timeline.appendChild(this.ruler);
+
+    this.rangeShades = [0, 1].map(() => {
+      const shade = document.createElement('div');
+      shade.classList.add('outOfRange');
+      this.timeline.appendChild(shade);
+      return shade;
+    });
+
+    this.bandsContainer = document.createElement('div');
+    this.bandsContainer.id = 'bands';
+    this.timeline.appendChild(this.bandsContainer);
+    this.bandLayers = {};
+
+    this.markersContainer = document.createElement('div');
+    this.markersContainer.id = 'markers';
+    this.timeline.appendChild(this.markersContainer);
+    this.markerLayers = {};
+
     this.keysContainer = document.createElement('div');
     this.keysContainer.id = 'keys';
     this.timeline.appendChild(this.keysContainer);
     this.keys = [];
+    // Keys are selected by their times, as their indices change when keys are added or removed.
+    this.selectedTimes = new Set();
+    this.clipboard = null;
+
+    // Where other users in the session are, and which keys they have selected.
+    this.usersContainer = document.createElement('div');
+    this.usersContainer.id = 'users';
+    this.timeline.appendChild(this.usersContainer);
+    this.users = [];
+
+    this.selectionBox = document.createElement('div');
+    this.selectionBox.id = 'selectionBox';
+    this.timeline.appendChild(this.selectionBox);
 
     this.timebar = document.createElement('div');
     this.timebar.id = 'timebar';
     this.timeline.appendChild(this.timebar);
 
+    // Dragging the in and out handles changes the range of the time parameter.
+    this.rangeHandles = [0, 1].map((handleIndex) => {
+      const handle = document.createElement('div');
+      handle.classList.add('rangeHandle');
+      handle.title = handleIndex == 0 ? 'In' : 'Out';
+      handle.addEventListener('mousedown', (event) => {
+        event.stopPropagation();
+        event.preventDefault();
+        this.dragRangeHandle(handleIndex);
+      });
+      this.timeline.appendChild(handle);
+      return handle;
+    });
+
+    this.controls = document.createElement('div');
+    this.controls.id = 'controls';
+    shadowRoot.appendChild(this.controls);
+
+    const addButton = (label, title, callback) => {
+      const button = document.createElement('button');
+      button.textContent = label;
+      button.title = title;
+      button.addEventListener('click', callback);
+      this.controls.appendChild(button);
+      return button;
+    };
+    addButton('|<', 'Step back a frame', () => this.stepFrames(-1));
+    this.playBtn = addButton('▶', 'Play', () => {
+      if (this.playing) this.pause();
+      else this.play();
+    });
+    addButton('■', 'Stop', () => this.stop());
+    addButton('>|', 'Step forward a frame', () => this.stepFrames(1));
+
+    const speedSelect = document.createElement('select');
+    speedSelect.title = 'Playback speed';
+    [0.1, 0.25, 0.5, 1, 2, 4].forEach((speed) => {
+      const option = document.createElement('option');
+      option.value = speed;
+      option.textContent = `${speed}x`;
+      speedSelect.appendChild(option);
+    });
+    speedSelect.value = 1;
+    speedSelect.addEventListener('change', () => {
+      this.speed = Number(speedSelect.value);
+    });
+    this.controls.appendChild(speedSelect);
+
+    const loopModeSelect = document.createElement('select');
+    loopModeSelect.title = 'What happens at the end of the range';
+    [
+      ['loop', 'Loop'],
+      ['ping-pong', 'Ping-pong'],
+      ['once', 'Once'],
+    ].forEach(([value, label]) => {
+      const option = document.createElement('option');
+      option.value = value;
+      option.textContent = label;
+      loopModeSelect.appendChild(option);
+    });
+    loopModeSelect.addEventListener('change', () => {
+      this.loopMode = loopModeSelect.value;
+    });
+    this.controls.appendChild(loopModeSelect);
+
+    this.timeInput = document.createElement('input');
+    this.timeInput.id = 'timeInput';
+    this.timeInput.addEventListener('change', () => {
+      const value = Number(this.timeInput.value);
+      if (!isNaN(value)) this.setTime(this.snapTime(this.fromUnits(value)));
+      this.updateTimeInput();
+    });
+    this.timeInput.addEventListener('keydown', (event) => event.stopPropagation());
+    this.controls.appendChild(this.timeInput);
+
+    const unitsBtn = document.createElement('button');
+    unitsBtn.textContent = 's';
+    unitsBtn.title = 'Show the time in seconds or frames';
+    unitsBtn.addEventListener('click', () => {
+      this.units = this.units == 'seconds' ? 'frames' : 'seconds';
+      unitsBtn.textContent = this.units == 'seconds' ? 's' : 'f';
+      this.render();
+    });
+    this.controls.appendChild(unitsBtn);
+
+    const frameRateSelect = document.createElement('select');
+    frameRateSelect.title = 'Frame rate';
+    [10, 24, 25, 30, 50, 60].forEach((frameRate) => {
+      const option = document.createElement('option');
+      option.value = frameRate;
+      option.textContent = `${frameRate}fps`;
+      frameRateSelect.appendChild(option);
+    });
+    frameRateSelect.value = this.frameRate;
+    frameRateSelect.addEventListener('change', () => {
+      this.frameRate = Number(frameRateSelect.value);
+      this.render();
+    });
+    this.controls.appendChild(frameRateSelect);
+
+    const snapBtn = document.createElement('button');
+    snapBtn.textContent = 'Snap';
+    snapBtn.title = 'Snap times to frames';
+    snapBtn.addEventListener('click', () => {
+      this.snap = !this.snap;
+      snapBtn.classList.toggle('active', this.snap);
+    });
+    this.controls.appendChild(snapBtn);
+
+    // Right clicking on a key opens a menu to choose the key's interpolation.
+    this.interpolationMenu = document.createElement('div');
+    this.interpolationMenu.id = 'interpolationMenu';
+    shadowRoot.appendChild(this.interpolationMenu);
+    document.addEventListener('mousedown', () => {
+      this.interpolationMenu.style.display = 'none';
+    });
+
     const prevKeyBtn = document.createElement('i');
     prevKeyBtn.id = 'prevKey';
     prevKeyBtn.classList.add('fas');
@@ -34,26 +201,102 @@ export class ZeaTimeBar extends HTMLElement {
     nextKeyBtn.textContent = '>';
     shadowRoot.appendChild(nextKeyBtn);
 
-    let playingId = false;
+    // Playback follows the wall clock, so the animation plays in real time however long each frame takes to render.
+    this.playing = false;
+    this.speed = 1;
+    this.loopMode = 'loop';
+    let direction = 1;
+    let frameId = null;
+    let prevFrameTime;
+    const playFrame = (frameTime) => {
+      const elapsed = frameTime - prevFrameTime;
+      prevFrameTime = frameTime;
+      let time = this.__timeParam.getValue() + elapsed * this.speed * direction;
+      let range = this.__timeParam.getRange();
+      if (time > range[1]) {
+        // Listeners can take over at the end of the range by cancelling the event, e.g. to play the next clip.
+        const ended = new CustomEvent('ended', { cancelable: true });
+        if (!this.dispatchEvent(ended)) {
+          range = this.__timeParam.getRange();
+          time = range[0];
+        } else if (this.loopMode == 'loop') {
+          time = range[0];
+        } else if (this.loopMode == 'ping-pong') {
+          time = range[1];
+          direction = -1;
+        } else {
+          this.__timeParam.setValue(range[1]);
+          this.pause();
+          return;
+        }
+      } else if (time < range[0]) {
+        time = range[0];
+        direction = 1;
+      }
+      this.__timeParam.setValue(time);
+      // Listeners of the time may have paused playback.
+      if (this.playing) frameId = requestAnimationFrame(playFrame);
+    };
     this.play = () => {
-      let time = Math.round(this.__timeParam.getValue());
+      if (this.playing) return;
+      this.playing = true;
+      this.playBtn.textContent = '❚❚';
+      this.playBtn.title = 'Pause';
+      direction = 1;
+      // Playing once from the end starts again from the beginning.
       const range = this.__timeParam.getRange();
-      if (!playingId) {
-        playingId = setInterval(() => {
-          time += 20;
-          this.__timeParam.setValue(Math.round(time));
-          if (time > range[1]) time = range[0];
-        }, 20);
-      }
+      if (this.loopMode == 'once' && this.__timeParam.getValue() >= range[1]) this.__timeParam.setValue(range[0]);
+      prevFrameTime = performance.now();
+      frameId = requestAnimationFrame(playFrame);
+    };
+    this.pause = () => {
+      cancelAnimationFrame(frameId);
+      this.playing = false;
+      this.playBtn.textContent = '▶';
+      this.playBtn.title = 'Play';
+      this.dispatchEvent(new CustomEvent('paused'));
     };
     this.stop = () => {
-      clearInterval(playingId);
-      playingId = null;
+      this.pause();
+      this.__timeParam.setValue(this.__timeParam.getRange()[0]);
+    };
+    // Moves to the next or previous whole frame.
+    this.stepFrames = (frames) => {
+      this.pause();
+      const frameDuration = 1000 / this.frameRate;
+      const frame = Math.round(this.__timeParam.getValue() / frameDuration) + frames;
+      const range = this.__timeParam.getRange();
+      this.__timeParam.setValue(MathFunctions.clamp(Math.round(frame * frameDuration), range[0], range[1]));
     };
     this.setTime = (time) => {
       this.__timeParam.setValue(Math.round(time));
     };
 
+    this.timeline.addEventListener('wheel', (event) => {
+      event.preventDefault();
+      const span = this.view[1] - this.view[0];
+      if (event.shiftKey || Math.abs(event.deltaX) > Math.abs(event.deltaY)) {
+        const delta = (event.shiftKey ? event.deltaY : event.deltaX) / this.timeline.offsetWidth;
+        this.view = this.view.map((time) => time + delta * span);
+      } else {
+        // Zoom around the time under the mouse.
+        const time = this.clientXToTime(event.clientX);
+        const scale = MathFunctions.clamp(Math.exp(event.deltaY * 0.002), 0.1, 10);
+        const newSpan = MathFunctions.clamp(span * scale, 100, 3600000);
+        const fraction = (time - this.view[0]) / span;
+        this.view = [time - fraction * newSpan, time + (1 - fraction) * newSpan];
+      }
+      this.render();
+    });
+
+    this.ruler.addEventListener('dblclick', () => {
+      this.fitView();
+    });
+
+    new ResizeObserver(() => {
+      if (this.__timeParam) this.render();
+    }).observe(this.timeline);
+
     let mouseIsOver = false;
     this.onmouseover = function () {
       mouseIsOver = TrustedScriptURL;
@@ -65,17 +308,32 @@ export class ZeaTimeBar extends HTMLElement {
     document.addEventListener('keydown', (event) => {
       switch (event.code) {
         case 'Space':
-          if (playingId) this.stop();
+          if (this.playing) this.pause();
           else this.play();
           break;
+        case 'ArrowLeft':
+          if (mouseIsOver) this.stepFrames(-1);
+          break;
+        case 'ArrowRight':
+          if (mouseIsOver) this.stepFrames(1);
+          break;
+        case 'KeyC':
+          if (event.ctrlKey && mouseIsOver) this.copyKeys();
+          break;
+        case 'KeyV':
+          if (event.ctrlKey && mouseIsOver) this.pasteKeys();
+          break;
         case 'Delete': {
           if (!mouseIsOver) return;
+          if (this.getSelectedTimes().length > 0) {
+            this.deleteSelectedKeys();
+            break;
+          }
           const time = Math.round(this.__timeParam.getValue());
           const keyAndLerp = this.__track.findKeyAndLerp(time);
           if (keyAndLerp.lerp == 0.0) {
-            // this.__track.removeKey(keyAndLerp.keyIndex)
-            const removeKeyChange = new RemoveKeyChange(this.__track, keyAndLerp.keyIndex);
-            UndoRedoManager.getInstance().addChange(removeKeyChange);
+            const keyTime = this.__track.getKeyTime(keyAndLerp.keyIndex);
+            UndoRedoManager.getInstance().addChange(new DeleteKeyChange(this.__track, keyTime));
           }
           break;
         }
@@ -83,18 +341,21 @@ export class ZeaTimeBar extends HTMLElement {
     });
 
     this.timeline.addEventListener('mousedown', (event) => {
-      if (playingId) this.stop();
+      if (this.playing) this.pause();
+      event.stopPropagation();
+      event.preventDefault();
+      if (event.shiftKey) {
+        this.boxSelect(event);
+        return;
+      }
+      this.selectKeys([]);
       dragTimeBar(event);
       document.addEventListener('mousemove', dragTimeBar);
       document.addEventListener('mouseup', endDragTimeBar);
-      event.stopPropagation();
-      event.preventDefault();
     });
 
     const dragTimeBar = (event) => {
-      const range = this.__timeParam.getRange();
-      const time = ((event.clientX - 5) / this.timeline.offsetWidth) * range[1];
-      this.setTime(time);
+      this.setTime(this.snapTime(this.clientXToTime(event.clientX)));
       event.stopPropagation();
       event.preventDefault();
     };
@@ -107,7 +368,7 @@ export class ZeaTimeBar extends HTMLElement {
     prevKeyBtn.addEventListener('mousedown', (event) => {
       event.stopPropagation();
       event.preventDefault();
-      if (playingId) this.stop();
+      if (this.playing) this.pause();
       const time = Math.round(this.__timeParam.getValue());
       const keyAndLerp = this.__track.findKeyAndLerp(time);
       if (keyAndLerp.lerp > 0.0) {
@@ -125,7 +386,7 @@ export class ZeaTimeBar extends HTMLElement {
     nextKeyBtn.addEventListener('mousedown', (event) => {
       event.stopPropagation();
       event.preventDefault();
-      if (playingId) this.stop();
+      if (this.playing) this.pause();
       const time = Math.round(this.__timeParam.getValue());
       const keyAndLerp = this.__track.findKeyAndLerp(time);
       if (keyAndLerp.keyIndex < this.__track.getNumKeys() - 1) {
@@ -151,10 +412,21 @@ export class ZeaTimeBar extends HTMLElement {
         position: absolute;
       }
       
-      #timeline {
-        width: 100%;
+      :host {
+        position: relative;
+        display: block;
         height: 100%;
-        width: calc(100% - 70px);
+        font-size: 11px;
+        color: #e0e0e0;
+      }
+
+      #timeline {
+        position: absolute;
+        left: 0px;
+        top: 0px;
+        overflow: hidden;
+        height: calc(100% - 2px);
+        width: calc(100% - 282px);
         bottom: 0px;
         margin: 0;
         padding: 0;
@@ -171,12 +443,144 @@ export class ZeaTimeBar extends HTMLElement {
         background-color: rgb(255,0,0,0.5);
       }
 
+      #ruler {
+        position: absolute;
+        top: 0px;
+        height: 14px;
+        width: 100%;
+        border-bottom: 1px solid #545454;
+        cursor: pointer;
+      }
+
+      .tick {
+        position: absolute;
+        top: 0px;
+        height: 14px;
+        padding-left: 2px;
+        border-left: 1px solid #777777;
+        white-space: nowrap;
+        pointer-events: none;
+      }
+
+      .outOfRange {
+        position: absolute;
+        height: 100%;
+        bottom: 0px;
+        background-color: rgba(0, 0, 0, 0.35);
+        pointer-events: none;
+      }
+
+      .rangeHandle {
+        position: absolute;
+        height: 100%;
+        width: 6px;
+        bottom: 0px;
+        background-color: #3f7ee8;
+        cursor: ew-resize;
+      }
+
+      #controls {
+        position: absolute;
+        display: flex;
+        flex-wrap: wrap;
+        align-content: center;
+        align-items: center;
+        height: 100%;
+        width: 210px;
+        right: 64px;
+        bottom: 0px;
+      }
+
+      #controls > * {
+        margin-left: 2px;
+        font-size: 11px;
+      }
+
+      #timeInput {
+        width: 50px;
+      }
+
+      .active {
+        background-color: #3f7ee8;
+      }
+
+      .band {
+        position: absolute;
+        height: 100%;
+        bottom: 0px;
+        min-width: 2px;
+        background-color: rgba(229, 32, 17, 0.4);
+      }
+
+      .marker {
+        position: absolute;
+        height: 8px;
+        width: 8px;
+        top: 16px;
+        border-radius: 4px;
+        background-color: #2fb344;
+        cursor: pointer;
+      }
+
       .key {
         position: absolute;
-        height: calc(100% - 4px);
-        width: 2px;
+        height: calc(100% - 18px);
+        width: 4px;
         bottom: 2px;
         background-color: #F9CE03;
+        cursor: ew-resize;
+      }
+
+      .key.selected {
+        background-color: #FFFFFF;
+      }
+
+      .userPlayhead {
+        position: absolute;
+        height: calc(100% - 16px);
+        width: 2px;
+        bottom: 0px;
+        pointer-events: none;
+      }
+
+      .userSelection {
+        position: absolute;
+        height: 3px;
+        width: 8px;
+        bottom: 0px;
+        pointer-events: none;
+      }
+
+      #selectionBox {
+        position: absolute;
+        display: none;
+        height: 100%;
+        bottom: 0px;
+        background-color: rgba(255, 255, 255, 0.2);
+      }
+
+      #interpolationMenu {
+        position: fixed;
+        display: none;
+        z-index: 10;
+        padding: 2px 0px;
+        background-color: #393939;
+        border: 1px solid #545454;
+        color: #e0e0e0;
+        font-size: 12px;
+      }
+
+      .menuItem {
+        padding: 2px 10px;
+        cursor: pointer;
+      }
+
+      .menuItem:hover {
+        background-color: #545454;
+      }
+
+      .checked {
+        color: #F9CE03;
       }
 
       #prevKey {
@@ -211,17 +615,157 @@ export class ZeaTimeBar extends HTMLElement {
   set timeParam(timeParam) {
     this.__timeParam = timeParam;
     this.__timeParam.on('valueChanged', () => {
-      const range = this.__timeParam.getRange();
-      const time = MathFunctions.clamp(this.__timeParam.getValue(), range[0], range[1]);
-      this.timebar.style.left = `${(time / range[1]) * this.timeline.offsetWidth - this.timebar.offsetWidth * 0.5}px`;
+      // Keep the time in view, e.g. while playing.
+      const time = this.__timeParam.getValue();
+      const span = this.view[1] - this.view[0];
+      if (time < this.view[0] || time > this.view[1]) {
+        this.view = [time, time + span];
+        this.render();
+      } else {
+        this.updateTimebar();
+      }
     });
+    this.fitView();
+  }
+
+  timeToX(time) {
+    return ((time - this.view[0]) / (this.view[1] - this.view[0])) * this.timeline.offsetWidth;
+  }
+
+  clientXToTime(clientX) {
+    const x = clientX - this.timeline.getBoundingClientRect().left;
+    return this.view[0] + (x / this.timeline.offsetWidth) * (this.view[1] - this.view[0]);
+  }
+
+  // Converts a distance in pixels to a duration at the current zoom.
+  pixelsToTime(pixels) {
+    return (pixels / this.timeline.offsetWidth) * (this.view[1] - this.view[0]);
+  }
+
+  snapTime(time) {
+    if (!this.snap) return Math.round(time);
+    const frameDuration = 1000 / this.frameRate;
+    return Math.round(Math.round(time / frameDuration) * frameDuration);
+  }
+
+  toUnits(time) {
+    return this.units == 'frames' ? (time * this.frameRate) / 1000 : time / 1000;
+  }
+
+  fromUnits(value) {
+    return this.units == 'frames' ? (value * 1000) / this.frameRate : value * 1000;
+  }
+
+  // Zooms the view to show the whole range, with a margin for the range handles.
+  fitView() {
+    const range = this.__timeParam.getRange();
+    const margin = (range[1] - range[0]) * 0.02;
+    this.view = [range[0] - margin, range[1] + margin];
+    this.render();
+  }
+
+  // Should be called after changing the range of the time parameter, which doesn't emit an event.
+  rangeChanged() {
+    this.fitView();
+  }
+
+  updateTimebar() {
+    this.timebar.style.left = `${this.timeToX(this.__timeParam.getValue()) - this.timebar.offsetWidth * 0.5}px`;
+    this.updateTimeInput();
+  }
+
+  updateTimeInput() {
+    if (this.shadowRoot.activeElement == this.timeInput) return;
+    const value = this.toUnits(this.__timeParam.getValue());
+    this.timeInput.value = this.units == 'frames' ? Math.round(value) : value.toFixed(2);
+  }
+
+  // Lays out everything on the timeline for the current view.
+  render() {
+    // Nothing can be laid out until the timeline is displayed. The resize observer renders it then.
+    if (!this.__timeParam || this.timeline.offsetWidth == 0) return;
+    this.renderRuler();
+
+    const range = this.__timeParam.getRange();
+    const inX = this.timeToX(range[0]);
+    const outX = this.timeToX(range[1]);
+    this.rangeShades[0].style.left = '0px';
+    this.rangeShades[0].style.width = `${Math.max(inX, 0)}px`;
+    this.rangeShades[1].style.left = `${outX}px`;
+    this.rangeShades[1].style.width = `${Math.max(this.timeline.offsetWidth - outX, 0)}px`;
+    this.rangeHandles[0].style.left = `${inX - 6}px`;
+    this.rangeHandles[1].style.left = `${outX}px`;
+
+    Object.keys(this.bandLayers).forEach((layer) => this.renderBands(layer));
+    Object.keys(this.markerLayers).forEach((layer) => this.renderMarkers(layer));
+    this.renderUsers();
+    if (this.__track) {
+      this.keys.forEach((key, index) => this.positionKey(key, this.__track.getKeyTime(index)));
+    }
+    this.updateTimebar();
+  }
+
+  // Labels the ticks at a round interval, in seconds or frames, leaving enough space between them for the labels.
+  renderRuler() {
+    while (this.ruler.firstChild) {
+      this.ruler.removeChild(this.ruler.firstChild);
+    }
+    const minSpacing = this.pixelsToTime(60);
+    // Steps of 1, 2 and 5 times a power of 10 milliseconds, or frames.
+    const unit = this.units == 'frames' ? 1000 / this.frameRate : 1;
+    let step = unit;
+    for (let i = 1; step < minSpacing; i++) {
+      step = unit * [1, 2, 5][i % 3] * Math.pow(10, Math.floor(i / 3));
+    }
+    for (let i = Math.max(Math.ceil(this.view[0] / step), 0); i * step <= this.view[1]; i++) {
+      const time = i * step;
+      const tick = document.createElement('div');
+      tick.classList.add('tick');
+      tick.style.left = `${this.timeToX(time)}px`;
+      const value = this.toUnits(time);
+      tick.textContent = this.units == 'frames' ? Math.round(value) : `${Number(value.toFixed(3))}s`;
+      this.ruler.appendChild(tick);
+    }
+  }
+
+  dragRangeHandle(handleIndex) {
+    const dragHandle = (event) => {
+      const range = this.__timeParam.getRange().slice();
+      const minLength = 1000 / this.frameRate;
+      const time = this.snapTime(this.clientXToTime(event.clientX));
+      if (handleIndex == 0) range[0] = MathFunctions.clamp(time, 0, range[1] - minLength);
+      else range[1] = Math.max(time, range[0] + minLength);
+      this.__timeParam.setRange(range);
+      this.render();
+    };
+    const endDragHandle = () => {
+      document.removeEventListener('mousemove', dragHandle);
+      document.removeEventListener('mouseup', endDragHandle);
+      this.dispatchEvent(new CustomEvent('rangeChanged', { detail: { range: this.__timeParam.getRange() } }));
+    };
+    document.addEventListener('mousemove', dragHandle);
+    document.addEventListener('mouseup', endDragHandle);
+  }
+
+  positionKey(key, time) {
+    key.style.left = `${this.timeToX(time) - key.offsetWidth * 0.5}px`;
   }
 
   updateKey(index) {
     const key = this.keys[index];
     const time = this.__track.getKeyTime(index);
-    const range = this.__timeParam.getRange();
-    key.style.left = `${(time / range[1]) * this.timeline.offsetWidth - key.offsetWidth * 0.5}px`;
+    this.positionKey(key, time);
+    key.classList.toggle('selected', this.selectedTimes.has(time));
+    key.title = this.describeKey(index);
+  }
+
+  // Describes how the animation moves on from the key, e.g. 'smooth, CIRC'.
+  describeKey(index) {
+    const descriptions = [];
+    if (this.__track.getKeyInterpolation)
+      descriptions.push(describeInterpolation(this.__track.getKeyInterpolation(index)));
+    if (this.__track.getKeyPath) descriptions.push(describePath(this.__track.getKeyPath(index)));
+    return descriptions.join(', ');
   }
 
   removeKey(index) {
@@ -235,41 +779,307 @@ export class ZeaTimeBar extends HTMLElement {
     key.classList.add('key');
 
     const time = this.__track.getKeyTime(index);
-    const range = this.__timeParam.getRange();
-    key.style.left = `${(time / range[1]) * this.timeline.offsetWidth - key.offsetWidth * 0.5}px`;
-
     this.keysContainer.appendChild(key);
+    this.positionKey(key, time);
+    key.classList.toggle('selected', this.selectedTimes.has(time));
+    key.title = this.describeKey(index);
+    key.addEventListener('mousedown', (event) => {
+      if (event.button != 0) return;
+      event.stopPropagation();
+      event.preventDefault();
+      this.dragKeys(this.keys.indexOf(key), event);
+    });
+    key.addEventListener('contextmenu', (event) => {
+      event.preventDefault();
+      this.showInterpolationMenu(this.keys.indexOf(key), event);
+    });
 
     this.keys.splice(index, 0, key);
   }
 
-  displayTrackKeys() {
+  selectKeys(times) {
+    this.selectedTimes = new Set(times);
     this.keys.forEach((key, index) => {
-      this.removeKey(index);
+      key.classList.toggle('selected', this.selectedTimes.has(this.__track.getKeyTime(index)));
     });
+    this.dispatchEvent(new CustomEvent('selectionChanged', { detail: { times: Array.from(this.selectedTimes) } }));
+  }
+
+  // Returns the times of the selected keys that still exist, in order.
+  getSelectedTimes() {
+    return Array.from(this.selectedTimes)
+      .filter((time) => findKeyAtTime(this.__track, time) != -1)
+      .sort((a, b) => a - b);
+  }
+
+  // Clicking on a key selects it and moves the time to it. Shift clicking adds it to the selection, or removes it.
+  // Dragging a key moves all of the selected keys, which is recorded as a single change when the mouse is released.
+  dragKeys(index, event) {
+    const time = this.__track.getKeyTime(index);
+    if (event.shiftKey) {
+      const times = new Set(this.selectedTimes);
+      if (times.has(time)) times.delete(time);
+      else times.add(time);
+      this.selectKeys(times);
+      return;
+    }
+    if (!this.selectedTimes.has(time)) this.selectKeys([time]);
+
+    const times = this.getSelectedTimes();
+    const range = this.__timeParam.getRange();
+    const startX = event.clientX;
+    let offset = 0;
+    const moveKeysTo = (event) => {
+      offset = this.snapTime(times[0] + this.pixelsToTime(event.clientX - startX)) - times[0];
+      // Keep the keys within the range.
+      offset = MathFunctions.clamp(offset, range[0] - times[0], range[1] - times[times.length - 1]);
+      this.keys.forEach((key, index) => {
+        const keyTime = this.__track.getKeyTime(index);
+        if (this.selectedTimes.has(keyTime)) this.positionKey(key, keyTime + offset);
+      });
+    };
+    const endMoveKeys = () => {
+      document.removeEventListener('mousemove', moveKeysTo);
+      document.removeEventListener('mouseup', endMoveKeys);
+      if (offset == 0) {
+        this.setTime(time);
+        return;
+      }
+      this.selectKeys(times.map((time) => time + offset));
+      UndoRedoManager.getInstance().addChange(moveKeys(this.__track, times, offset));
+    };
+    document.addEventListener('mousemove', moveKeysTo);
+    document.addEventListener('mouseup', endMoveKeys);
+  }
+
+  // Shift dragging on the timeline adds the keys within the box to the selection.
+  boxSelect(event) {
+    const left = this.timeline.getBoundingClientRect().left;
+    const startX = event.clientX - left;
+    const box = this.selectionBox;
+    const resizeBox = (event) => {
+      const x = event.clientX - left;
+      box.style.left = `${Math.min(startX, x)}px`;
+      box.style.width = `${Math.abs(x - startX)}px`;
+    };
+    const endBoxSelect = (event) => {
+      document.removeEventListener('mousemove', resizeBox);
+      document.removeEventListener('mouseup', endBoxSelect);
+      box.style.display = 'none';
+      const [start, end] = [left + startX, event.clientX].map((x) => this.clientXToTime(x)).sort((a, b) => a - b);
+      const times = [];
+      for (let index = 0; index < this.__track.getNumKeys(); index++) {
+        const time = this.__track.getKeyTime(index);
+        if (time >= start && time <= end) times.push(time);
+      }
+      this.selectKeys([...this.selectedTimes, ...times]);
+    };
+    resizeBox(event);
+    box.style.display = 'block';
+    document.addEventListener('mousemove', resizeBox);
+    document.addEventListener('mouseup', endBoxSelect);
+  }
+
+  copyKeys() {
+    const times = this.getSelectedTimes();
+    if (times.length == 0) return;
+    this.clipboard = {
+      track: this.__track,
+      keys: times.map((time) => {
+        const index = findKeyAtTime(this.__track, time);
+        return {
+          offset: time - times[0],
+          value: cloneKeyValue(this.__track.getKeyValue(index)),
+          interpolation: this.__track.getKeyInterpolation ? this.__track.getKeyInterpolation(index) : undefined,
+          path: this.__track.getKeyPath ? this.__track.getKeyPath(index) : undefined,
+        };
+      }),
+    };
+  }
+
+  // Pastes the copied keys at the current time, keeping their spacing. Keys can only be pasted into the track
+  // they were copied from, which stays the same when switching clips.
+  pasteKeys() {
+    if (!this.clipboard || this.clipboard.track != this.__track) return;
+    const time = Math.round(this.__timeParam.getValue());
+    const times = this.clipboard.keys.map((key) => time + key.offset);
+    this.selectKeys(times);
+    const changes = this.clipboard.keys.map((key, index) => {
+      return new SetKeyChange(this.__track, times[index], cloneKeyValue(key.value), key.interpolation, key.path);
+    });
+    UndoRedoManager.getInstance().addChange(new CompoundChange(`Paste Keys on ${this.__track.getName()}`, changes));
+  }
+
+  deleteSelectedKeys() {
+    const changes = this.getSelectedTimes().map((time) => new DeleteKeyChange(this.__track, time));
+    this.selectKeys([]);
+    UndoRedoManager.getInstance().addChange(new CompoundChange(`Delete Keys on ${this.__track.getName()}`, changes));
+  }
+
+  // Lists the interpolation modes at the mouse, and sets the chosen mode on the key as an undoable change.
+  showInterpolationMenu(index, event) {
+    const track = this.__track;
+    if (!track.setKeyInterpolation) return;
+    const time = track.getKeyTime(index);
+    const current = track.getKeyInterpolation(index);
+    const menu = this.interpolationMenu;
+    while (menu.firstChild) {
+      menu.removeChild(menu.firstChild);
+    }
+    interpolationModes.forEach((mode) => {
+      const item = document.createElement('div');
+      item.classList.add('menuItem');
+      if (mode == current.mode) item.classList.add('checked');
+      item.textContent = mode;
+      item.addEventListener('mousedown', (event) => {
+        event.stopPropagation();
+        menu.style.display = 'none';
+        const interpolation = { mode };
+        if (mode == 'bezier') {
+          const text = prompt('Bezier ease (x1, y1, x2, y2)', (current.bezier || defaultBezier).join(', '));
+          if (!text) return;
+          interpolation.bezier = text.split(',').map(Number);
+        }
+        try {
+          const change = new SetKeyInterpolationChange(track, time, interpolation);
+          UndoRedoManager.getInstance().addChange(change);
+        } catch (error) {
+          alert(error.message);
+        }
+      });
+      menu.appendChild(item);
+    });
+    menu.style.left = `${event.clientX}px`;
+    menu.style.bottom = `${window.innerHeight - event.clientY}px`;
+    menu.style.display = 'block';
+  }
+
+  // Highlights spans of the timeline, e.g. where the animation violates the robot's limits.
+  // Bands are grouped in named layers, so each analysis can replace its own bands.
+  // Each band is { start, end, color, title }.
+  setBands(layer, bands) {
+    if (!this.bandLayers[layer]) {
+      this.bandLayers[layer] = { div: document.createElement('div') };
+      this.bandsContainer.appendChild(this.bandLayers[layer].div);
+    }
+    this.bandLayers[layer].bands = bands;
+    this.renderBands(layer);
+  }
+
+  renderBands(layer) {
+    const { div: layerDiv, bands } = this.bandLayers[layer];
+    while (layerDiv.firstChild) {
+      layerDiv.removeChild(layerDiv.firstChild);
+    }
+    bands.forEach((band) => {
+      const div = document.createElement('div');
+      div.classList.add('band');
+      div.style.left = `${this.timeToX(band.start)}px`;
+      div.style.width = `${this.timeToX(band.end) - this.timeToX(band.start)}px`;
+      if (band.color) div.style.backgroundColor = band.color;
+      if (band.title) div.title = band.title;
+      layerDiv.appendChild(div);
+    });
+  }
+
+  // Marks events on the timeline, such as parts being attached or released.
+  // Markers are grouped in named layers like the bands. Each marker is { time, color, title }.
+  // Clicking on a marker moves the time to it.
+  setMarkers(layer, markers) {
+    if (!this.markerLayers[layer]) {
+      this.markerLayers[layer] = { div: document.createElement('div') };
+      this.markersContainer.appendChild(this.markerLayers[layer].div);
+    }
+    this.markerLayers[layer].markers = markers;
+    this.renderMarkers(layer);
+  }
+
+  renderMarkers(layer) {
+    const { div: layerDiv, markers } = this.markerLayers[layer];
+    while (layerDiv.firstChild) {
+      layerDiv.removeChild(layerDiv.firstChild);
+    }
+    markers.forEach((marker) => {
+      const div = document.createElement('div');
+      div.classList.add('marker');
+      div.style.left = `${this.timeToX(marker.time) - 4}px`;
+      if (marker.color) div.style.backgroundColor = marker.color;
+      if (marker.title) div.title = marker.title;
+      div.addEventListener('mousedown', (event) => {
+        this.setTime(marker.time);
+        event.stopPropagation();
+      });
+      layerDiv.appendChild(div);
+    });
+  }
+
+  // Shows where the other users in the session are. Each user is { time, times, color },
+  // drawn as a playhead at the time, with a mark under each of the keys they have selected.
+  setUsers(users) {
+    this.users = users;
+    this.renderUsers();
+  }
+
+  renderUsers() {
+    while (this.usersContainer.firstChild) {
+      this.usersContainer.removeChild(this.usersContainer.firstChild);
+    }
+    this.users.forEach((user) => {
+      const playhead = document.createElement('div');
+      playhead.classList.add('userPlayhead');
+      playhead.style.left = `${this.timeToX(user.time) - 1}px`;
+      playhead.style.backgroundColor = user.color;
+      this.usersContainer.appendChild(playhead);
+      (user.times || []).forEach((time) => {
+        const mark = document.createElement('div');
+        mark.classList.add('userSelection');
+        mark.style.left = `${this.timeToX(time) - 4}px`;
+        mark.style.backgroundColor = user.color;
+        this.usersContainer.appendChild(mark);
+      });
+    });
+  }
+
+  displayTrackKeys() {
+    while (this.keys.length > 0) {
+      this.removeKey(this.keys.length - 1);
+    }
     this.__track.keys.forEach((key, index) => {
       this.addKey(index);
     });
   }
 
   set track(track) {
+    // The track can be swapped, e.g. when switching between IK and joint space animation.
+    if (this.__track) {
+      this.__track.off('keyChanged', this.__keyChanged);
+      this.__track.off('keyRemoved', this.__keyRemoved);
+      this.__track.off('keyAdded', this.__keyAdded);
+      this.__track.off('loaded', this.__trackLoaded);
+    }
     this.__track = track;
-    this.__track.on('keyChanged', (event) => {
+    this.selectedTimes = new Set();
+    this.__keyChanged = (event) => {
       this.updateKey(event.index);
-    });
-    this.__track.on('keyRemoved', (event) => {
+    };
+    this.__keyRemoved = (event) => {
       const { index } = event;
       this.removeKey(index);
-    });
-    this.__track.on('keyAdded', (event) => {
+    };
+    this.__keyAdded = (event) => {
       const { index } = event;
       this.addKey(index);
-    });
-    this.__track.on('loaded', (event) => {
+    };
+    this.__trackLoaded = (event) => {
       this.displayTrackKeys();
-    });
+    };
+    this.__track.on('keyChanged', this.__keyChanged);
+    this.__track.on('keyRemoved', this.__keyRemoved);
+    this.__track.on('keyAdded', this.__keyAdded);
+    this.__track.on('loaded', this.__trackLoaded);
 
     this.displayTrackKeys();
+    this.dispatchEvent(new CustomEvent('selectionChanged', { detail: { times: [] } }));
   }
 }
 
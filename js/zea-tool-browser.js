@@ -0,0 +1,122 @@
+const { Xfo, Vec3, MathFunctions } = window.zeaEngine
+import { quatToRPY, rpyToQuat } from './kinematics.js'
+
+// Tool frames are entered as x, y, z in mm followed by roll, pitch and yaw in degrees, relative to the flange.
+const formatXfo = (xfo) => {
+  const { x, y, z } = xfo.tr.scale(1000)
+  const rpy = quatToRPY(xfo.ori).map(MathFunctions.radToDeg)
+  return [x, y, z, ...rpy].map((value) => Number(value.toFixed(2))).join(', ')
+}
+
+const parseXfo = (text) => {
+  const values = text.split(',').map(Number)
+  if (values.length != 6 || values.some(isNaN)) throw new Error('Enter 6 numbers: x, y, z (mm), roll, pitch, yaw (deg)')
+  const xfo = new Xfo()
+  xfo.tr = new Vec3(values[0], values[1], values[2]).scale(0.001)
+  xfo.ori = rpyToQuat(values.slice(3).map(MathFunctions.degToRad))
+  return xfo
+}
+
+const xfoPrompt = 'Tool center point from the flange: x, y, z (mm), roll, pitch, yaw (deg)'
+
+// Lists the tool frames mounted on the flange. Clicking on a tool makes it the active one, whose center point
+// follows the IK target.
+export class ZeaToolBrowser extends HTMLElement {
+  constructor() {
+    super()
+    const shadowRoot = this.attachShadow({ mode: 'open' })
+
+    const header = document.createElement('div')
+    header.classList.add('header')
+    header.textContent = 'Tools'
+    shadowRoot.appendChild(header)
+
+    this.list = document.createElement('div')
+    shadowRoot.appendChild(this.list)
+
+    const addButton = (parent, label, callback) => {
+      const button = document.createElement('button')
+      button.textContent = label
+      button.addEventListener('click', () => {
+        try {
+          callback()
+        } catch (error) {
+          alert(error.message)
+        }
+      })
+      parent.appendChild(button)
+    }
+
+    const buttons = document.createElement('div')
+    buttons.classList.add('buttons')
+    shadowRoot.appendChild(buttons)
+    addButton(buttons, 'New', () => {
+      const name = prompt('Tool name')
+      if (!name) return
+      const text = prompt(xfoPrompt, '0, 0, 0, 0, 0, 0')
+      if (text == null) return
+      this.__tools.addTool({ name, xfo: parseXfo(text) })
+      this.__tools.setActiveTool(name)
+    })
+    addButton(buttons, 'Edit Frame', () => {
+      const tool = this.__tools.getActiveTool()
+      const text = prompt(xfoPrompt, formatXfo(tool.xfo))
+      if (text != null) this.__tools.setToolXfo(tool.name, parseXfo(text))
+    })
+
+    const styleTag = document.createElement('style')
+    styleTag.appendChild(
+      document.createTextNode(`
+
+    :host {
+      display: block;
+      color: var(--color-foreground-1, #e0e0e0);
+      font-size: 12px;
+      text-align: left;
+    }
+    .header {
+      padding: 5px;
+      font-weight: bold;
+      border-bottom: 1px solid #545454;
+    }
+    .tool {
+      padding: 3px 5px;
+      cursor: pointer;
+    }
+    .tool:hover {
+      background-color: var(--color-grey-2, #393939);
+    }
+    .current {
+      color: var(--color-secondary-1, #f9ce03);
+    }
+    .buttons {
+      padding: 0px 5px 5px 5px;
+    }
+`)
+    )
+    shadowRoot.appendChild(styleTag)
+  }
+
+  set tools(tools) {
+    this.__tools = tools
+    tools.on('changed', () => this.update())
+    tools.on('activeToolChanged', () => this.update())
+    this.update()
+  }
+
+  update() {
+    while (this.list.firstChild) this.list.removeChild(this.list.firstChild)
+    const current = this.__tools.getActiveTool()
+    this.__tools.getTools().forEach((tool) => {
+      const row = document.createElement('div')
+      row.classList.add('tool')
+      if (tool == current) row.classList.add('current')
+      row.textContent = tool.name
+      row.title = formatXfo(tool.xfo)
+      row.addEventListener('click', () => this.__tools.setActiveTool(tool.name))
+      this.list.appendChild(row)
+    })
+  }
+}
+
+customElements.define('zea-tool-browser', ZeaToolBrowser)
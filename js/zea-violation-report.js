@@ -0,0 +1,72 @@
+import { describeViolation } from './analyzeViolations.js'
+
+const formatTime = (time) => `${(time / 1000).toFixed(2)}s`
+
+// Lists the violations found by analyzeViolations. Clicking on one moves the time to its start.
+export class ZeaViolationReport extends HTMLElement {
+  constructor() {
+    super()
+    const shadowRoot = this.attachShadow({ mode: 'open' })
+
+    this.header = document.createElement('div')
+    this.header.classList.add('header')
+    this.header.textContent = 'Violations'
+    shadowRoot.appendChild(this.header)
+
+    this.list = document.createElement('div')
+    shadowRoot.appendChild(this.list)
+
+    const styleTag = document.createElement('style')
+    styleTag.appendChild(
+      document.createTextNode(`
+
+    :host {
+      display: block;
+      color: var(--color-foreground-1, #e0e0e0);
+      font-size: 12px;
+      text-align: left;
+    }
+    .header {
+      padding: 5px;
+      font-weight: bold;
+      border-bottom: 1px solid #545454;
+    }
+    .violation {
+      padding: 3px 5px;
+      cursor: pointer;
+    }
+    .violation:hover {
+      background-color: var(--color-grey-2, #393939);
+    }
+    .time {
+      color: var(--color-warning-2, #ef7970);
+      float: right;
+    }
+`)
+    )
+    shadowRoot.appendChild(styleTag)
+  }
+
+  set violations(violations) {
+    while (this.list.firstChild) this.list.removeChild(this.list.firstChild)
+    this.header.textContent = `Violations (${violations.length})`
+
+    violations.forEach((violation) => {
+      const row = document.createElement('div')
+      row.classList.add('violation')
+      row.textContent = describeViolation(violation)
+
+      const time = document.createElement('span')
+      time.classList.add('time')
+      time.textContent = `${formatTime(violation.start)} - ${formatTime(violation.end)}`
+      row.appendChild(time)
+
+      row.addEventListener('click', () => {
+        if (this.timeParam) this.timeParam.setValue(violation.start)
+      })
+      this.list.appendChild(row)
+    })
+  }
+}
+
+customElements.define('zea-violation-report', ZeaViolationReport)
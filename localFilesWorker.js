@@ -0,0 +1,44 @@
+// Serves the files opened from the disk under local-files/<mount>/<path>, so assets made of many files, such as
+// a Potree point cloud and its octree, load from the disk the same way as from a server.
+// The files are kept by the page that opened them, which is asked for each one, as a worker can be stopped at any time.
+
+const prefix = new URL('local-files/', self.registration.scope).pathname
+
+self.addEventListener('install', () => self.skipWaiting())
+self.addEventListener('activate', (event) => event.waitUntil(self.clients.claim()))
+
+const askClient = (client, mount, path) => {
+  return new Promise((resolve) => {
+    const channel = new MessageChannel()
+    channel.port1.onmessage = (event) => {
+      channel.port1.close()
+      resolve(event.data)
+    }
+    client.postMessage({ type: 'getLocalFile', mount, path }, [channel.port2])
+    // A page that doesn't answer, e.g. as it is closing, doesn't have the file.
+    setTimeout(() => resolve(null), 5000)
+  })
+}
+
+const findFile = async (mount, path) => {
+  const clients = await self.clients.matchAll({ type: 'window' })
+  for (const client of clients) {
+    const file = await askClient(client, mount, path)
+    if (file) return file
+  }
+  return null
+}
+
+self.addEventListener('fetch', (event) => {
+  const url = new URL(event.request.url)
+  if (url.origin != self.location.origin || !url.pathname.startsWith(prefix)) return
+  const [mount, ...parts] = url.pathname.slice(prefix.length).split('/')
+  const path = parts.map(decodeURIComponent).join('/')
+  event.respondWith(
+    findFile(mount, path).then((file) => {
+      if (!file) return new Response('Not found', { status: 404, statusText: 'Not found' })
+      const headers = { 'Content-Type': file.type || 'application/octet-stream', 'Content-Length': String(file.size) }
+      return new Response(event.request.method == 'HEAD' ? null : file, { headers })
+    })
+  )
+})
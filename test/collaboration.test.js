@@ -0,0 +1,150 @@
+// Runs the collaboration module of two users against each other, with an in-memory room and clip data,
+// and checks that both end up with the same keys. Run with: node --test test/
+import { test, beforeEach } from 'node:test'
+import assert from 'node:assert'
+import { EventEmitter } from 'node:events'
+
+globalThis.window = {
+  zeaEngine: { EventEmitter },
+  zeaCollab: { Session: { actions: { USER_JOINED: 'user-joined', USER_LEFT: 'user-left', LEFT_ROOM: 'left-room' } } },
+}
+const { default: setupCollaboration } = await import('../js/collaboration.js')
+
+// The messages each user has sent, delivered to the others when the room is flushed.
+let queue = []
+let sessions = []
+
+class RoomSession {
+  constructor(userData) {
+    this.userData = userData
+    this.callbacks = {}
+    sessions.push(this)
+  }
+
+  pub(type, payload) {
+    const json = JSON.stringify(payload)
+    sessions.forEach((session) => {
+      if (session != this) queue.push(() => session.receive(type, JSON.parse(json), this.userData.id))
+    })
+  }
+
+  sub(type, callback) {
+    this.callbacks[type] = (this.callbacks[type] || []).concat(callback)
+  }
+
+  receive(type, payload, userId) {
+    ;(this.callbacks[type] || []).forEach((callback) => callback(payload, userId))
+  }
+
+  getUser(id) {
+    const session = sessions.find((session) => session.userData.id == id)
+    return session && session.userData
+  }
+}
+
+// Lets the edits made so far be sent, then delivers every message, including those sent in reply.
+const deliver = async () => {
+  await Promise.resolve()
+  while (queue.length > 0) {
+    queue.shift()()
+    await Promise.resolve()
+  }
+}
+
+const makeUser = (id) => {
+  let data = {
+    xfoTrack: { name: 'XfoTrack', keys: [] },
+    jointTrack: { name: 'JointTrack', tracks: [] },
+    attachments: [],
+  }
+  const xfoTrack = new EventEmitter()
+  const clips = {
+    getClips: () => [{ name: 'Clip 1' }],
+    getCurrentClip: () => 'Clip 1',
+    getClipData: () => data,
+    setClipData: (clip, value) => (data = value),
+    on: () => {},
+  }
+  const timeParam = new EventEmitter()
+  timeParam.getValue = () => 0
+  const animation = { timeParam, clips, xfoTrack, jointTrack: new EventEmitter(), attachments: new EventEmitter() }
+  const timecontrols = { addEventListener: () => {}, setUsers: () => {} }
+  const userData = { id }
+  setupCollaboration(new RoomSession(userData), userData, animation, timecontrols, { interval: 0 })
+
+  // Edits the keys as the tracks would, and lets the collaboration module know.
+  const setKey = (time, value) => {
+    const keys = data.xfoTrack.keys.filter((key) => key.time != time)
+    if (value != undefined) keys.push({ time, value })
+    keys.sort((a, b) => a.time - b.time)
+    data = Object.assign({}, data, { xfoTrack: Object.assign({}, data.xfoTrack, { keys }) })
+    xfoTrack.emit('keyChanged', {})
+  }
+  const getKeys = () => data.xfoTrack.keys.map(({ time, value }) => [time, value])
+
+  return { setKey, getKeys }
+}
+
+// Each edit is sent on its own, before the next one is made.
+const play = async (user, edits) => {
+  for (const [time, value] of edits) {
+    user.setKey(time, value)
+    await Promise.resolve()
+  }
+}
+
+let a
+let b
+beforeEach(async () => {
+  queue = []
+  sessions = []
+  a = makeUser('aaa')
+  b = makeUser('bbb')
+  a.setKey(1000, 1)
+  a.setKey(2000, 2)
+  await deliver()
+})
+
+test('shares the keys', () => {
+  assert.deepStrictEqual(b.getKeys(), [
+    [1000, 1],
+    [2000, 2],
+  ])
+})
+
+test('simultaneous edits of the same key converge', async () => {
+  a.setKey(1000, 10)
+  b.setKey(1000, 11)
+  await deliver()
+  assert.deepStrictEqual(a.getKeys(), b.getKeys())
+  assert.deepStrictEqual(a.getKeys(), [
+    [1000, 11],
+    [2000, 2],
+  ])
+})
+
+test('removing a key while it is edited converges', async () => {
+  a.setKey(2000)
+  b.setKey(2000, 20)
+  await deliver()
+  assert.deepStrictEqual(a.getKeys(), b.getKeys())
+})
+
+test('two sequences of edits made at the same time converge', async () => {
+  await Promise.all([
+    play(a, [[1000, 3], [3000, 4], [2000], [1000, 5]]),
+    play(b, [[2000, 6], [1000, 7], [3000, 8], [4000, 9], [3000]]),
+  ])
+  await deliver()
+  assert.deepStrictEqual(a.getKeys(), b.getKeys())
+})
+
+test('edits delivered in between converge', async () => {
+  await play(a, [[1000, 3]])
+  await play(b, [[1000, 4]])
+  queue.shift()()
+  await play(b, [[2000, 5]])
+  await play(a, [[2000, 6]])
+  await deliver()
+  assert.deepStrictEqual(a.getKeys(), b.getKeys())
+})